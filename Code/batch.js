@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * batch.js
+ *
+ * Downloads many courses of one site in one invocation: one shared browser
+ * (one login session for all of them), one output subfolder per course,
+ * and a combined summary at the end. Each course is a normal
+ * download-pdfs.js run (same manifest, report, index and resume files in
+ * its own folder), attached to the shared browser.
+ *
+ * Courses come from sites/<site>.courses.json (or --courses <file>):
+ *   {
+ *     "outputDir": "UNSW/2026-T3",      // optional; default: OUTPUT_DIR_DEFAULT of the profile
+ *     "defaults": { "modules": "resource,folder", "env": { "DOWNLOAD_ALL": "1" } },
+ *     "courses": [
+ *       { "course": 90386, "name": "COMP1511" },
+ *       { "course": 90401, "allModules": true, "env": { "FOLDER_MODE": "zip" } },
+ *       { "urls": "lists/extra.txt", "name": "Extras" }
+ *     ]
+ *   }
+ * or, without that file, from the profile itself: COURSES="90386 90401:MATH1131".
+ * A course's folder is "name" (default course_<id>, as moodle.sh uses);
+ * "modules" / "allModules" pick what --course discovery collects, "env"
+ * sets any other download-pdfs.js option for that course only.
+ *
+ * Usage:
+ *   node batch.js --site unsw
+ *   node batch.js --site unsw --courses term3.json --only COMP1511,MATH1131
+ *   node batch.js --site unsw --resume      # after a stop on an expired session
+ *     --output-dir <dir>   base folder for the course folders
+ *     --dedup              share <output-dir>/.dedup-store between the courses
+ *
+ * Relative paths: outputDir as in moodle.sh (from this script's directory),
+ * "urls" / "structure" from the courses file's directory.
+ *
+ * Exit status:
+ *   0  every course finished cleanly
+ *   1  bad arguments or batch file
+ *   2  some courses had failures (see the combined report)
+ *   3  every course failed
+ *   4  session expired; stopped (re-run with --resume once cookies are fresh)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const puppeteer = require('puppeteer');
+const { siteProfile, cookiePathFor } = require('./sanitize-cookies');
+
+const PROJECT_ROOT = __dirname;
+const SITES_DIR = path.join(PROJECT_ROOT, '..', 'sites');
+const DOWNLOADER = path.join(PROJECT_ROOT, 'download-pdfs.js');
+
+function fatal(msg) {
+  console.error(`\n[✗] ${msg}\n`);
+  process.exit(1);
+}
+
+function banner(title) {
+  console.log('\n=========================================');
+  console.log(` ${title}`);
+  console.log('=========================================');
+}
+
+// --- Parse arguments ---
+const args = process.argv.slice(2);
+let site = process.env.SITE || process.env.MOODLE_SITE || '';
+let coursesFile = '';
+let outputArg = '';
+let only = [];
+let dedup = false;
+let resume = false;
+
+for (let i = 0; i < args.length; i++) {
+  const a = args[i];
+  if (a === '--site') site = args[++i];
+  else if (a === '--courses') coursesFile = args[++i];
+  else if (a === '--output-dir') outputArg = args[++i];
+  else if (a === '--only') only = String(args[++i] || '').split(',').map((s) => s.trim()).filter(Boolean);
+  else if (a === '--dedup') dedup = true;
+  else if (a === '--resume') resume = true;
+  else if (a === '-h' || a === '--help') {
+    console.log('Usage: node batch.js --site <name> [--courses <file.json>] [--only a,b] [--output-dir <dir>] [--dedup] [--resume]');
+    process.exit(0);
+  } else fatal(`Unknown argument: ${a} (see --help)`);
+}
+
+if (!site) fatal('No site given (--site <name>)');
+const profile = siteProfile(site);
+
+// --- Load the course list ---
+function readBatchFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    fatal(`Cannot read ${file}: ${e.message}`);
+  }
+  return null;
+}
+
+function courseIdOf(course) {
+  const m = /[?&]id=(\d+)/.exec(String(course));
+  return m ? m[1] : String(course);
+}
+
+function folderName(value) {
+  return String(value).replace(/[^a-zA-Z0-9_.-]+/g, '_').replace(/^[._]+/, '') || 'course';
+}
+
+if (!coursesFile && fs.existsSync(path.join(SITES_DIR, `${site}.courses.json`))) {
+  coursesFile = path.join(SITES_DIR, `${site}.courses.json`);
+}
+
+let batch;
+let batchDir = PROJECT_ROOT;
+if (coursesFile) {
+  batch = readBatchFile(coursesFile);
+  batchDir = path.dirname(path.resolve(coursesFile));
+} else if (profile.courses.length) {
+  // COURSES="90386 90401:MATH1131" — id (or id:name) per course
+  batch = {
+    courses: profile.courses.map((c) => {
+      const [course, name] = c.split(':');
+      return name ? { course, name } : { course };
+    }),
+  };
+} else {
+  fatal(`No courses for ${site}.\n\n→ Create ${path.join(SITES_DIR, `${site}.courses.json`)}\n→ Or set COURSES="<id> <id>..." in sites/${site}.env`);
+}
+
+const defaults = batch.defaults || {};
+const courses = (Array.isArray(batch.courses) ? batch.courses : []).map((c, i) => {
+  if (!c || (!c.course && !c.urls)) fatal(`Course #${i + 1} needs "course" or "urls"`);
+  const name = folderName(c.name || (c.course ? `course_${courseIdOf(c.course)}` : path.basename(c.urls, path.extname(c.urls))));
+  return {
+    name,
+    course: c.course ? String(c.course) : '',
+    urls: c.urls ? path.resolve(batchDir, c.urls) : '',
+    structure: c.structure ? path.resolve(batchDir, c.structure) : '',
+    modules: c.modules ?? defaults.modules ?? process.env.MODULES ?? '',
+    allModules: c.allModules ?? defaults.allModules ?? process.env.ALL_MODULES === '1',
+    env: { ...(defaults.env || {}), ...(c.env || {}) },
+  };
+});
+if (!courses.length) fatal('The batch lists no courses');
+
+const seen = new Set();
+for (const c of courses) {
+  if (seen.has(c.name)) fatal(`Two courses use the folder "${c.name}"; give one a different "name"`);
+  seen.add(c.name);
+  if (c.urls && !fs.existsSync(c.urls)) fatal(`${c.name}: URL list not found: ${c.urls}`);
+}
+
+let outputRoot = outputArg || process.env.OUTPUT_DIR || batch.outputDir || profile.outputDir;
+if (!path.isAbsolute(outputRoot)) outputRoot = path.join(PROJECT_ROOT, outputRoot);
+const REPORT_DIR = path.join(outputRoot, '_reports');
+const RESUME_FILE = path.join(outputRoot, '.batch-resume.json');
+
+let queue = courses;
+if (only.length) {
+  queue = courses.filter((c) => only.includes(c.name) || (c.course && only.includes(courseIdOf(c.course))));
+  if (!queue.length) fatal(`--only matched no course (have: ${courses.map((c) => c.name).join(', ')})`);
+}
+if (resume) {
+  if (!fs.existsSync(RESUME_FILE)) fatal(`--resume: no stopped batch in ${RESUME_FILE}`);
+  const left = new Set(readBatchFile(RESUME_FILE).remaining || []);
+  queue = queue.filter((c) => left.has(c.name));
+  console.log(`[i] Resuming: ${queue.length} course(s) left`);
+}
+
+// --- Cookies ---
+const cookieFile = process.env.COOKIE_FILE
+  || [cookiePathFor(site), cookiePathFor('')].find((f) => fs.existsSync(f));
+if (!cookieFile || !fs.existsSync(cookieFile)) {
+  fatal(`No cookies for ${site}.\n\n→ Run: node sanitize-cookies.js --site ${site} <export>\n→ Or: node login.js --site ${site}`);
+}
+
+// --- Run one course ---
+const STATUS_BY_EXIT = { 0: 'ok', 1: 'error', 2: 'partial', 3: 'failed', 4: 'session-expired' };
+
+function runCourse(c, browserWSEndpoint) {
+  const outDir = path.join(outputRoot, c.name);
+  fs.mkdirSync(outDir, { recursive: true });
+  const env = {
+    ...process.env,
+    ...Object.fromEntries(Object.entries(c.env).map(([k, v]) => [k, String(v)])),
+    BASE_URL: profile.baseUrl,
+    COOKIE_FILE: path.resolve(cookieFile),
+    OUTPUT_DIR: outDir,
+    COURSE: c.course,
+    MODULES: c.modules,
+    ALL_MODULES: c.allModules ? '1' : '0',
+    URL_FILE: c.urls || path.join(outDir, 'resource_urls.txt'),
+    STRUCTURE_FILE: c.structure || path.join(outDir, 'course_structure.json'),
+    RESUME: resume && fs.existsSync(path.join(outDir, '.resume.json')) ? '1' : '0',
+    BROWSER_WS_ENDPOINT: browserWSEndpoint,
+  };
+  if (dedup && !env.DEDUP_STORE) env.DEDUP_STORE = path.join(outputRoot, '.dedup-store');
+
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [DOWNLOADER], { cwd: PROJECT_ROOT, env, stdio: 'inherit' });
+    child.on('error', (e) => {
+      console.error(`[✗] ${c.name}: ${e.message}`);
+      resolve(1);
+    });
+    child.on('close', (code) => resolve(code ?? 1));
+  });
+}
+
+// The course's own run report, if this run got far enough to write one.
+function courseReport(c, startedAt) {
+  const file = path.join(outputRoot, c.name, '_reports', 'latest.json');
+  try {
+    const report = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return Date.parse(report.startedAt) >= startedAt.getTime() - 1000 ? { file, report } : null;
+  } catch {
+    return null;
+  }
+}
+
+// --- Combined summary ---
+const COLUMNS = [
+  ['Resources', (t) => t.processed],
+  ['Saved', (t) => t.savedFiles + t.savedPackages],
+  ['Updated', (t) => t.updated],
+  ['Unchanged', (t) => t.unchanged],
+  ['Skipped', (t) => t.skipped],
+  ['Failed', (t) => t.failed],
+];
+
+function printSummary(results, totals) {
+  banner(`Batch Summary (${profile.siteName}, ${results.length} course(s))`);
+  const width = Math.max(6, ...results.map((r) => r.name.length));
+  const row = (name, status, values) => console.log(
+    `${name.padEnd(width)}  ${status.padEnd(15)}${values.map((v, i) => String(v).padStart(COLUMNS[i][0].length + 2)).join('')}`,
+  );
+  row('Course', 'Status', COLUMNS.map(([h]) => h));
+  for (const r of results) {
+    row(r.name, r.status, COLUMNS.map(([, get]) => (r.totals ? get(r.totals) || 0 : '-')));
+  }
+  row('Total', '', COLUMNS.map(([, get]) => get(totals) || 0));
+}
+
+function sumTotals(results) {
+  const totals = {};
+  for (const r of results) {
+    for (const [k, v] of Object.entries(r.totals || {})) {
+      if (typeof v === 'number') totals[k] = (totals[k] || 0) + v;
+    }
+  }
+  return totals;
+}
+
+function batchExitCode(results) {
+  if (results.some((r) => r.exitCode === 4)) return 4;
+  const bad = results.filter((r) => r.exitCode !== 0);
+  if (!bad.length) return 0;
+  return bad.length === results.length && bad.every((r) => r.exitCode === 1 || r.exitCode === 3) ? 3 : 2;
+}
+
+// --- Main ---
+(async () => {
+  console.log(`[i] Site: ${profile.siteName} (${profile.baseUrl})`);
+  console.log(`[i] Courses: ${queue.map((c) => c.name).join(', ')}`);
+  console.log(`[i] Output: ${outputRoot}`);
+  console.log(`[i] Cookies: ${cookieFile}`);
+
+  const startedAt = new Date();
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+  });
+
+  const results = [];
+  try {
+    for (const [i, c] of queue.entries()) {
+      banner(`[${i + 1}/${queue.length}] ${c.name}${c.course ? ` (course ${c.course})` : ''}`);
+      const courseStart = new Date();
+      const exitCode = await runCourse(c, browser.wsEndpoint());
+      const found = courseReport(c, courseStart);
+      results.push({
+        name: c.name,
+        course: c.course || null,
+        urls: c.urls || null,
+        outputDir: path.join(outputRoot, c.name),
+        exitCode,
+        status: STATUS_BY_EXIT[exitCode] || `exit-${exitCode}`,
+        report: found ? found.file : null,
+        counts: found ? found.report.counts : null,
+        totals: found ? found.report.totals : null,
+      });
+      if (exitCode === 4) break;
+    }
+  } finally {
+    await browser.close();
+  }
+
+  // Stopped on an expired session: remember what's left for --resume.
+  const stopped = results.length && results[results.length - 1].exitCode === 4;
+  fs.mkdirSync(outputRoot, { recursive: true });
+  if (stopped) {
+    const remaining = queue.slice(results.length - 1).map((c) => c.name);
+    fs.writeFileSync(RESUME_FILE, JSON.stringify({ savedAt: new Date().toISOString(), site, remaining }, null, 2));
+  } else if (fs.existsSync(RESUME_FILE)) {
+    fs.rmSync(RESUME_FILE, { force: true });
+  }
+
+  const totals = sumTotals(results);
+  const exitCode = batchExitCode(results);
+  printSummary(results, totals);
+
+  const finishedAt = new Date();
+  const combined = {
+    site,
+    siteName: profile.siteName,
+    baseUrl: profile.baseUrl,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    outputDir: outputRoot,
+    exitCode,
+    courses: results,
+    totals,
+  };
+  fs.mkdirSync(REPORT_DIR, { recursive: true });
+  const reportFile = path.join(REPORT_DIR, `batch-${startedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+  fs.writeFileSync(reportFile, JSON.stringify(combined, null, 2));
+  fs.writeFileSync(path.join(REPORT_DIR, 'batch-latest.json'), JSON.stringify(combined, null, 2));
+  console.log(`\n[i] Combined report: ${reportFile}`);
+
+  if (stopped) {
+    console.log(`[!] Session expired during ${results[results.length - 1].name}; ${queue.length - results.length + 1} course(s) left.`);
+    console.log(`    Refresh cookies (node sanitize-cookies.js --site ${site}), then: node batch.js --site ${site} --resume`);
+  }
+  process.exit(exitCode);
+})().catch((e) => fatal(e.message));
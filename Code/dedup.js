@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * dedup.js
+ *
+ * Reports how much space the content-addressed store (DEDUP_STORE) saves,
+ * and deduplicates archives downloaded before it was in use: every file
+ * with a .meta.json sidecar under the given directories is hashed and
+ * hardlinked to the store's copy (copied into the store if it's new).
+ *
+ * Usage:
+ *   node dedup.js --store Solomon/.dedup-store                 # report only
+ *   node dedup.js --store Solomon/.dedup-store --add Solomon/course_12 Solomon/course_40
+ *   node dedup.js --store Solomon/.dedup-store --prune         # drop unused objects
+ *     --json    machine-readable output
+ *
+ * Exit status: 0 ok, 1 bad arguments.
+ *
+ * Optional env:
+ *   DEDUP_STORE=path      # same as --store (and as download-pdfs.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { addToStore, storeStats } = require('./lib/dedup-store');
+const { sha256File } = require('./lib/integrity');
+
+const SKIP_DIRS = new Set(['_warc', '_reports', '.partial', '.search-index']);
+
+function fatal(msg) {
+  console.error(`\n[✗] ${msg}\n`);
+  process.exit(1);
+}
+
+function formatBytes(n) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  let v = n;
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i += 1;
+  }
+  return `${i ? v.toFixed(1) : v} ${units[i]}`;
+}
+
+// --- Parse arguments ---
+const args = process.argv.slice(2);
+let store = process.env.DEDUP_STORE || '';
+const addDirs = [];
+let prune = false;
+let json = false;
+
+for (let i = 0; i < args.length; i++) {
+  const a = args[i];
+  if (a === '--store') store = args[++i];
+  else if (a === '--add') {
+    while (i + 1 < args.length && !args[i + 1].startsWith('--')) addDirs.push(args[++i]);
+  } else if (a === '--prune') prune = true;
+  else if (a === '--json') json = true;
+  else if (a === '-h' || a === '--help') {
+    console.log('Usage: node dedup.js --store <dir> [--add <archive dir>...] [--prune] [--json]');
+    process.exit(0);
+  } else fatal(`Unknown argument: ${a} (see --help)`);
+}
+
+if (!store) fatal('No store given (--store <dir> or DEDUP_STORE)');
+for (const dir of addDirs) {
+  if (!fs.existsSync(dir)) fatal(`Archive directory not found: ${dir}`);
+}
+
+// --- Add existing archives ---
+const added = { files: 0, stored: 0, linked: 0, copied: 0, savedBytes: 0, errors: [] };
+const storeRoot = path.resolve(store);
+
+function addTree(dir) {
+  for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      if (!SKIP_DIRS.has(dirent.name) && path.resolve(full) !== storeRoot) addTree(full);
+      continue;
+    }
+    if (!dirent.isFile() || dirent.name.endsWith('.meta.json') || !fs.existsSync(`${full}.meta.json`)) continue;
+    try {
+      const res = addToStore(store, full, sha256File(full));
+      added.files += 1;
+      added[res.result] += 1;
+      added.savedBytes += res.saved;
+    } catch (e) {
+      added.errors.push({ path: full, error: e.message });
+    }
+  }
+}
+
+for (const dir of addDirs) {
+  if (!json) console.log(`[i] Adding ${dir}`);
+  addTree(dir);
+}
+
+// --- Report ---
+const stats = storeStats(store, { prune });
+
+if (json) {
+  console.log(JSON.stringify({ store, ...(addDirs.length ? { added } : {}), stats }, null, 2));
+} else {
+  for (const e of added.errors) console.log(`[✗] ${e.path}: ${e.error}`);
+  if (addDirs.length) {
+    console.log(`[✓] ${added.files} file(s): ${added.stored} new, ${added.linked} linked, ${added.copied} kept as copies (no hardlink); ${formatBytes(added.savedBytes)} freed`);
+  }
+  if (prune) console.log(`[i] Pruned ${stats.pruned} unused object(s)`);
+  console.log(`[i] Store ${store}: ${stats.objects} object(s), ${formatBytes(stats.bytes)}, ${stats.links} linked file(s)`);
+  if (stats.unlinked) console.log(`[i] ${stats.unlinked} object(s) not linked from any archive (--prune removes them)`);
+  console.log(`[✓] Deduplication saves ${formatBytes(stats.savedBytes)}`);
+}
@@ -4,26 +4,92 @@
  *
  * What it does:
  * - Reads Moodle activity URLs from: resource_urls.txt
- * - Uses session cookies from: cookies.json (Cookie-Editor export, then sanitized)
+ *   (or discovers them live from a course page with --course <id|url>)
+ * - Uses session cookies from: cookies.json (Cookie-Editor export, then sanitized;
+ *   COOKIE_FILE picks another file, e.g. cookies.<site>.json)
  * - Visits each activity page and extracts the real downloadable URL(s)
+ *   (with WS_TOKEN, files and folders come from Moodle's web-service API instead)
  * - Prefers ZIP packages when available (and verified)
+ * - Streams downloads to disk with the session's cookies (resumable via Range)
+ * - Checks each download against its Content-Length and, for PDFs/ZIPs, its
+ *   trailer / central directory (verify.js re-checks a whole archive later)
  * - Downloads PDFs directly
+ * - Optionally unpacks downloaded ZIPs (UNZIP=1), refusing path traversal,
+ *   symlinks and zip bombs; unpacked HTML packages are listed as packages
+ * - Joins HLS (.m3u8) videos into one file; resolves SharePoint/Stream players to a direct download
  * - For interactive HTML "packages" (pluginfile .../mod_resource/content/<n>/index.html):
  *     - Saves index.html into <output>/<RID>-package/
  *     - Static mirrors referenced assets (src/href/url())
  *     - Runtime harvests dynamically loaded assets by loading the page and capturing network
- * - Prints a summary at the end (counts by MIME + extension)
+ *       (optionally clicking through slides/tabs and playing media: HARVEST_MODE=interact)
+ *     - Rewrites captured URLs to relative local paths so the package opens from file://
+ * - Generates <output>/index.html: a searchable list of everything archived (works from file://)
+ * - Keeps a full-text index of saved PDFs and HTML up to date (query it with search.js)
+ * - Runs JavaScript plugins from plugins/hooks/*.js: extra candidate extractors,
+ *   score adjustments, custom handlers for whole resources, post-save steps
+ * - Prints a summary at the end (counts by MIME + extension) and writes a JSON
+ *   run report with each resource's status and reason code
  *
  * Usage:
  *   node download-pdfs.js              # PDF-only
  *   DOWNLOAD_ALL=1 node download-pdfs.js  # download all file types + packages
+ *   BASE_URL=https://moodle.example node download-pdfs.js --course 1234
+ *   node download-pdfs.js --course 'https://moodle.example/course/view.php?id=1234'
+ *   node download-pdfs.js --course 1234 --discover-only   # write resource_urls.txt and exit
+ *   node download-pdfs.js --resume     # continue a run stopped by an expired session
  *
  * Optional env:
  *   MAX_RETRIES=3
  *   HARVEST_SECONDS=12
+ *   HARVEST_MODE=interact # drive HTML packages (next/tabs/play/scroll) until the network is idle
+ *   HARVEST_IDLE_MS=4000  # interact: quiet period that ends each step
+ *   HARVEST_MAX_SECONDS=300
+ *   HARVEST_MAX_STEPS=200
  *   MIRROR_MAX_FILES=2000
  *   MIRROR_MAX_DEPTH=8
- *   ALLOW_LARGE=1         # remove 200MB per-file cap
+ *   REWRITE_URLS=0        # keep mirrored package HTML/CSS/JS exactly as served (no offline rewrite)
+ *   ALLOW_LARGE=1         # remove 200MB per-file cap (downloads stream to disk either way)
+ *   HLS_QUALITY=best      # HLS variant: best | worst | <max height>, e.g. 720
+ *   COURSE=1234           # same as --course
+ *   MODULES=resource,page # modules to discover with --course (default: registry defaults)
+ *   ALL_MODULES=1         # discover every registered module with --course
+ *   FORCE=1               # ignore the sync manifest and re-download everything
+ *   CONCURRENCY=3         # browser pages working through resources in parallel
+ *   HOST_RATE=8           # max requests started per second per host (0 = unlimited)
+ *   PAGE_SETTLE_MS=2000   # wait after an activity page loads before reading its DOM
+ *   LAYOUT=course|flat    # course: <section>/<activity title>.<ext> (default when course
+ *                         # structure is known); flat: <RID>-<filename> in OUTPUT_DIR
+ *   FOLDER_MODE=files|zip # mod/folder: every file (keeps subfolders) or the "Download folder" ZIP
+ *   BOOK_PDF=1            # mod/book: also render the exported book to PDF
+ *   WARC=1                # also record every HTTP exchange into <output>/_warc/*.warc.gz
+ *   WARC_MAX_BYTES=1073741824  # rotate to a new WARC file past this size
+ *   REPORT_FILE=path.json # also write the run report here (always: <output>/_reports/)
+ *   ARCHIVE_INDEX=0       # don't (re)generate <output>/index.html
+ *   SEARCH_INDEX=0        # don't update the full-text index (<output>/.search-index, see search.js)
+ *   SESSION_WAIT_MINUTES=30  # on session expiry, wait this long for a fresh COOKIE_FILE
+ *                         # (0 = stop at once and save the position; default 0 when CI=1 or CI=true)
+ *   RESUME=1              # same as --resume
+ *   COOKIE_FILE=cookies.unsw.json  # read session cookies from this file (default cookies.json)
+ *   URL_FILE=resource_urls.txt     # activity URL list (read, or written by --discover-only)
+ *   STRUCTURE_FILE=course_structure.json  # course sections/titles (written by --course)
+ *   BROWSER_WS_ENDPOINT=ws://...   # use this running browser instead of launching one
+ *                         # (batch.js shares one browser across courses this way)
+ *   WS_TOKEN=abc123       # Moodle web-service (mobile app) token: list + download files,
+ *                         # folders and --course activities through the REST API;
+ *                         # everything else is still scraped (cookies still needed)
+ *   UNZIP=1               # unpack each downloaded .zip next to it (<name>/ + <name>.meta.json)
+ *   UNZIP_MAX_BYTES=1073741824  # refuse ZIPs that unpack to more than this
+ *   UNZIP_MAX_ENTRIES=10000     # ... or that hold more entries than this
+ *   DEDUP_STORE=Solomon/.dedup-store  # hardlink identical files (any course sharing the
+ *                         # store) to one copy per SHA-256; see dedup.js
+ *   JS_PLUGINS=0          # don't load the JavaScript plugins in plugins/hooks/
+ *
+ * Exit status:
+ *   0  every resource saved, unchanged or deliberately skipped
+ *   1  fatal error (missing cookies, bad config, course discovery failed)
+ *   2  some resources failed (see the run report)
+ *   3  every resource failed
+ *   4  session expired; the remaining resources are in <output>/.resume.json (use --resume)
  */
 
 /**
@@ -34,13 +100,50 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { execFileSync } = require('child_process');
+const zlib = require('zlib');
+const { STATUS_CODES } = require('http');
+const { AsyncLocalStorage } = require('async_hooks');
+const { updateIndex } = require('./lib/search-index');
+const { WsError, createClient, canonicalFileUrl, redactToken } = require('./lib/moodle-ws');
+const { IntegrityError, structureKind, structureProblem } = require('./lib/integrity');
+const { UnzipError, extractZip } = require('./lib/unzip');
+const { addToStore, storeStats } = require('./lib/dedup-store');
+const { PluginError, loadPlugins, pluginsFor } = require('./lib/plugins');
 
 // ---------------------------------------------------------------------
 // Block 1: Config
 // ---------------------------------------------------------------------
-const URL_FILE = 'resource_urls.txt';
-const COOKIE_FILE = 'cookies.json';
+const URL_FILE = process.env.URL_FILE || 'resource_urls.txt';
+const STRUCTURE_FILE = process.env.STRUCTURE_FILE || 'course_structure.json';
+const COOKIE_FILE = process.env.COOKIE_FILE || 'cookies.json';
 const OUTPUT_DIR = process.env.OUTPUT_DIR || 'output';
+const EXTRACTOR = path.join(__dirname, 'extract-resources.sh');
+const HOOKS_DIR = path.join(__dirname, 'plugins', 'hooks');
+
+function argValue(flag) {
+  const idx = process.argv.indexOf(flag);
+  if (idx === -1 || idx + 1 >= process.argv.length) return '';
+  return process.argv[idx + 1];
+}
+
+const COURSE = argValue('--course') || process.env.COURSE || '';
+const DISCOVER_ONLY = process.argv.includes('--discover-only');
+const RESUME = process.argv.includes('--resume') || process.env.RESUME === '1';
+const MODULES = process.env.MODULES || '';
+const ALL_MODULES = process.env.ALL_MODULES === '1';
+const BASE_URL = process.env.BASE_URL || '';
+const FORCE = process.env.FORCE === '1';
+const MANIFEST_FILE = path.join(OUTPUT_DIR, '.sync-manifest.json');
+const VERSIONS_DIR = path.join(OUTPUT_DIR, '_versions');
+const WARC_DIR = path.join(OUTPUT_DIR, '_warc');
+const REPORT_DIR = path.join(OUTPUT_DIR, '_reports');
+const REPORT_FILE = process.env.REPORT_FILE || '';
+const PARTIAL_DIR = path.join(OUTPUT_DIR, '.partial');
+const RESUME_FILE = path.join(OUTPUT_DIR, '.resume.json');
 
 const DOWNLOAD_ALL = process.env.DOWNLOAD_ALL === '1';
 const MAX_RETRIES = Number(process.env.MAX_RETRIES || 3);
@@ -52,6 +155,47 @@ const MAX_BYTES = process.env.ALLOW_LARGE === '1' ? Infinity : MAX_BYTES_DEFAULT
 const MIRROR_MAX_FILES = Number(process.env.MIRROR_MAX_FILES || 2000);
 const MIRROR_MAX_DEPTH = Number(process.env.MIRROR_MAX_DEPTH || 8);
 const HARVEST_SECONDS = Number(process.env.HARVEST_SECONDS || 12);
+const REWRITE_URLS = process.env.REWRITE_URLS !== '0';
+const HARVEST_MODE = (process.env.HARVEST_MODE || 'passive').toLowerCase();
+const HARVEST_IDLE_MS = Number(process.env.HARVEST_IDLE_MS || 4000);
+const HARVEST_MAX_SECONDS = Number(process.env.HARVEST_MAX_SECONDS || 300);
+const HARVEST_MAX_STEPS = Number(process.env.HARVEST_MAX_STEPS || 200);
+
+const CONCURRENCY = Math.max(1, Number(process.env.CONCURRENCY || 3));
+const HOST_RATE = Number(process.env.HOST_RATE || 8);
+const PAGE_SETTLE_MS = Number(process.env.PAGE_SETTLE_MS || 2000);
+const LAYOUT = (process.env.LAYOUT || '').toLowerCase();
+const FOLDER_MODE = (process.env.FOLDER_MODE || 'files').toLowerCase();
+const BOOK_PDF = process.env.BOOK_PDF === '1';
+const HLS_QUALITY = (process.env.HLS_QUALITY || 'best').toLowerCase();
+const WARC = process.env.WARC === '1';
+const ARCHIVE_INDEX = process.env.ARCHIVE_INDEX !== '0';
+const SEARCH_INDEX = process.env.SEARCH_INDEX !== '0';
+const WARC_MAX_BYTES = Number(process.env.WARC_MAX_BYTES || 1024 ** 3);
+const IS_CI = process.env.CI === '1' || process.env.CI === 'true';
+const SESSION_WAIT_MINUTES = Number(process.env.SESSION_WAIT_MINUTES || (IS_CI ? 0 : 30));
+const WS_TOKEN = (process.env.WS_TOKEN || '').trim();
+const UNZIP = process.env.UNZIP === '1';
+const UNZIP_MAX_BYTES = Number(process.env.UNZIP_MAX_BYTES || 1024 ** 3);
+const UNZIP_MAX_ENTRIES = Number(process.env.UNZIP_MAX_ENTRIES || 10000);
+const DEDUP_STORE = process.env.DEDUP_STORE || '';
+const JS_PLUGINS = process.env.JS_PLUGINS !== '0';
+if (LAYOUT && LAYOUT !== 'course' && LAYOUT !== 'flat') {
+  console.error(`❌ LAYOUT must be "course" or "flat" (got "${LAYOUT}")`);
+  process.exit(1);
+}
+if (HARVEST_MODE !== 'passive' && HARVEST_MODE !== 'interact') {
+  console.error(`❌ HARVEST_MODE must be "passive" or "interact" (got "${HARVEST_MODE}")`);
+  process.exit(1);
+}
+if (FOLDER_MODE !== 'files' && FOLDER_MODE !== 'zip') {
+  console.error(`❌ FOLDER_MODE must be "files" or "zip" (got "${FOLDER_MODE}")`);
+  process.exit(1);
+}
+if (HLS_QUALITY !== 'best' && HLS_QUALITY !== 'worst' && !/^\d+p?$/.test(HLS_QUALITY)) {
+  console.error(`❌ HLS_QUALITY must be "best", "worst" or a maximum height like 720 (got "${HLS_QUALITY}")`);
+  process.exit(1);
+}
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 const CONTROL_CHARS_RE = /[\u0000-\u001F\u007F]/g;
@@ -66,12 +210,25 @@ function logDebug(msg, ...args) {
 
 if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 
-if (!fs.existsSync(URL_FILE)) {
-  console.error(`❌ Missing ${URL_FILE} in current directory`);
+if (!COURSE && !RESUME && !fs.existsSync(URL_FILE)) {
+  console.error(`❌ Missing ${URL_FILE} in current directory (or pass --course <id|url>)`);
   process.exit(1);
 }
 
-const urls = fs.readFileSync(URL_FILE, 'utf-8')
+// --resume: the URLs (and their course structure) left over by a run that
+// stopped on an expired session.
+let resumeState = null;
+if (RESUME) {
+  try {
+    resumeState = JSON.parse(fs.readFileSync(RESUME_FILE, 'utf-8'));
+  } catch {
+    console.error(`❌ --resume: no saved position in ${RESUME_FILE}`);
+    process.exit(1);
+  }
+  console.log(`[INFO] Resuming: ${resumeState.urls.length} resource(s) left from ${resumeState.savedAt}`);
+}
+
+let urls = resumeState ? resumeState.urls : COURSE ? [] : fs.readFileSync(URL_FILE, 'utf-8')
   .split('\n')
   .map((l) => stripControlChars(l))
   .filter(Boolean);
@@ -80,25 +237,164 @@ console.log(`[INFO] Saving files into: ${OUTPUT_DIR}`);
 logDebug(`OUTPUT_DIR: ${OUTPUT_DIR}`);
 logDebug(`MAX_RETRIES: ${MAX_RETRIES}`);
 logDebug(`DOWNLOAD_ALL: ${DOWNLOAD_ALL}`);
-logDebug(`HARVEST_SECONDS: ${HARVEST_SECONDS}`);
+logDebug(`HARVEST_MODE: ${HARVEST_MODE}, HARVEST_SECONDS: ${HARVEST_SECONDS}`);
+logDebug(`CONCURRENCY: ${CONCURRENCY}, HOST_RATE: ${HOST_RATE}/s`);
+if (COURSE) logDebug(`COURSE: ${COURSE}`);
 
 
 // ---------------------------------------------------------------------
 // Block 2: Run Summary Counters
 // ---------------------------------------------------------------------
-const summary = {
+// Each resource's own increments are also tallied (attemptCounts), so a
+// retry after a session expiry can take back what the interrupted attempt
+// counted without touching what other workers counted meanwhile.
+const attemptCounts = new AsyncLocalStorage();
+
+const summary = new Proxy({
   processed: 0,
   savedFiles: 0,
   savedPackages: 0,
+  extracted: 0,
+  deduplicated: 0,
+  dedupSavedBytes: 0,
+  unchanged: 0,
+  updated: 0,
   skipped: 0,
   failed: 0,
   byMime: new Map(),
   byExt: new Map(),
-};
+}, {
+  set(counters, field, value) {
+    const tally = attemptCounts.getStore();
+    if (tally) tally.fields[field] = (tally.fields[field] || 0) + value - counters[field];
+    counters[field] = value;
+    return true;
+  },
+});
 
 function bump(map, key) {
   const k = key || 'unknown';
   map.set(k, (map.get(k) || 0) + 1);
+  const tally = attemptCounts.getStore();
+  if (tally) tally.keys.push([map, k]);
+}
+
+// Takes back what one interrupted attempt counted (see attemptCounts).
+function uncount(tally) {
+  for (const [field, n] of Object.entries(tally.fields)) summary[field] -= n;
+  for (const [map, k] of tally.keys) {
+    if (map.get(k) > 1) map.set(k, map.get(k) - 1);
+    else map.delete(k);
+  }
+}
+
+
+// ---------------------------------------------------------------------
+// Block 2.1: Run report (per-resource outcomes)
+// Why: the counters say how many were skipped, not which or why. Every
+//       input URL gets one entry: status, a stable reason code, chosen URL,
+//       outputs, bytes and timing. Written to <OUTPUT_DIR>/_reports/ and
+//       used for the exit status.
+// Statuses: saved | updated | package | unchanged | skipped | partial | failed
+//           | pending (not reached before the session expired; see .resume.json)
+// ---------------------------------------------------------------------
+const runStartedAt = new Date();
+const runReport = new Map();
+
+function reportEntry(resourceUrl) {
+  if (!runReport.has(resourceUrl)) {
+    runReport.set(resourceUrl, { url: resourceUrl, rid: getResourceId(resourceUrl), status: null, reason: null, outputs: [] });
+  }
+  return runReport.get(resourceUrl);
+}
+
+// The resource-level outcome, when the pipeline decides it outright.
+function settle(resourceUrl, status, reason = null, extra = {}) {
+  Object.assign(reportEntry(resourceUrl), { status, reason, ...extra });
+}
+
+// One file or directory written (or not) for a resource.
+function reportOutput(resourceUrl, output) {
+  reportEntry(resourceUrl).outputs.push({
+    ...output,
+    path: output.path ? path.relative(OUTPUT_DIR, output.path) : undefined,
+  });
+}
+
+// Multi-file handlers (folder, assign, forum, book) leave the status to
+// their outputs.
+function finalizeEntry(entry) {
+  const statuses = entry.outputs.map((o) => o.status);
+  const failed = entry.outputs.filter((o) => o.status === 'failed');
+  if (!entry.status) {
+    if (!statuses.length) {
+      entry.status = 'skipped';
+      entry.reason = 'nothing-saved';
+    } else if (failed.length === statuses.length) {
+      entry.status = 'failed';
+      entry.reason = failed[0].reason;
+    } else if (failed.length) {
+      entry.status = 'partial';
+      entry.reason = 'some-items-failed';
+    } else if (statuses.some((st) => st === 'saved' || st === 'package')) {
+      entry.status = 'saved';
+    } else if (statuses.includes('updated')) {
+      entry.status = 'updated';
+    } else if (statuses.includes('unchanged')) {
+      entry.status = 'unchanged';
+      entry.reason = 'not-modified';
+    } else {
+      entry.status = 'skipped';
+      entry.reason = entry.outputs[0].reason;
+    }
+  }
+  const bytes = entry.outputs.reduce((n, o) => n + (o.bytes || 0), 0);
+  if (bytes) entry.bytes = bytes;
+  return entry;
+}
+
+function runExitCode(resources) {
+  if (resources.some((r) => r.status === 'pending')) return 4;
+  const failed = resources.filter((r) => r.status === 'failed' || r.status === 'partial').length;
+  if (!failed) return 0;
+  return failed === resources.length ? 3 : 2;
+}
+
+function writeRunReport(inputUrls) {
+  const finishedAt = new Date();
+  const resources = inputUrls.map((u) => finalizeEntry(reportEntry(u)));
+  const counts = {};
+  for (const r of resources) counts[r.status] = (counts[r.status] || 0) + 1;
+  const exitCode = runExitCode(resources);
+
+  const report = {
+    startedAt: runStartedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - runStartedAt,
+    outputDir: path.resolve(OUTPUT_DIR),
+    course: COURSE || null,
+    downloadAll: DOWNLOAD_ALL,
+    exitCode,
+    counts,
+    totals: {
+      ...Object.fromEntries(Object.entries(summary).filter(([, v]) => typeof v === 'number')),
+      byMime: Object.fromEntries(summary.byMime),
+      byExt: Object.fromEntries(summary.byExt),
+    },
+    resources,
+  };
+
+  ensureDir(REPORT_DIR);
+  const stamp = runStartedAt.toISOString().replace(/[:.]/g, '-');
+  const file = path.join(REPORT_DIR, `run-${stamp}.json`);
+  const json = JSON.stringify(report, null, 2);
+  fs.writeFileSync(file, json);
+  fs.writeFileSync(path.join(REPORT_DIR, 'latest.json'), json);
+  if (REPORT_FILE) {
+    ensureDir(path.dirname(path.resolve(REPORT_FILE)));
+    fs.writeFileSync(REPORT_FILE, json);
+  }
+  return { file, exitCode, counts };
 }
 
 
@@ -128,6 +424,15 @@ function uniquePath(dir, filename) {
   return path.join(dir, `${stem}-${Date.now()}${ext}`);
 }
 
+function fileNameFromUrl(urlStr, fallback = 'download') {
+  try {
+    const u = new URL(urlStr);
+    return decodeURIComponent(path.basename(u.pathname || '')) || fallback;
+  } catch {
+    return fallback;
+  }
+}
+
 function getResourceId(resourceUrl) {
   try {
     const u = new URL(stripControlChars(resourceUrl));
@@ -137,6 +442,61 @@ function getResourceId(resourceUrl) {
   }
 }
 
+// ---------------------------------------------------------------------
+// Block 3.1: Output layout (course structure vs flat)
+// activityInfo maps activity URL -> { sectionIndex, section, title } and is
+// filled by live discovery or from course_structure.json next to the URL file.
+// ---------------------------------------------------------------------
+const activityInfo = new Map();
+
+function loadCourseStructure(file) {
+  if (!fs.existsSync(file)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    for (const a of parsed.activities || []) activityInfo.set(a.url, a);
+    logDebug(`Loaded course structure for ${activityInfo.size} activities from ${file}`);
+  } catch (e) {
+    console.warn(`⚠️ Ignoring unreadable ${file}: ${e.message}`);
+  }
+}
+
+// Returns where a resource's output goes and the stem its names start with:
+//   course: <OUTPUT_DIR>/<NN> - <Section>/<Activity title>.<ext>
+//   flat:   <OUTPUT_DIR>/<RID>-<filename>
+function outputTarget(resourceUrl, rid) {
+  const info = activityInfo.get(stripControlChars(resourceUrl)) || null;
+  if (LAYOUT === 'flat' || !info || !info.title) {
+    return { dir: OUTPUT_DIR, stem: rid, info, structured: false };
+  }
+  const sectionName = info.section || (info.sectionIndex >= 0 ? `Section ${info.sectionIndex}` : 'Other');
+  const order = info.sectionIndex >= 0 ? String(info.sectionIndex).padStart(2, '0') : 'xx';
+  const dir = path.join(OUTPUT_DIR, sanitizeFilename(`${order} - ${sectionName}`));
+  return { dir, stem: sanitizeFilename(info.title), info, structured: true };
+}
+
+// Per-activity directory for handlers that save several files
+// (course layout: "<Section>/<Activity title>/", flat: "<RID>-<kind>/").
+function activityRoot(target, rid, kind) {
+  return path.join(target.dir, target.structured ? target.stem : `${rid}-${kind}`);
+}
+
+// Common .meta.json fields; the Moodle id is kept whatever the layout.
+function activityMeta(rid, resourceUrl, target) {
+  const meta = { id: rid, url: stripControlChars(resourceUrl) };
+  if (target.info) {
+    meta.title = target.info.title || '';
+    meta.section = target.info.section || '';
+    meta.sectionIndex = target.info.sectionIndex;
+  }
+  return meta;
+}
+
+if (resumeState) {
+  for (const a of resumeState.activities || []) activityInfo.set(a.url, a);
+} else if (!COURSE) {
+  loadCourseStructure(STRUCTURE_FILE);
+}
+
 // ---------------------------------------------------------------------
 // Block 4: Retry wrapper
 // Why: Moodle pages sometimes glitch/timeout; this reduces operator babysitting.
@@ -147,6 +507,10 @@ async function withRetries(fn, retries = MAX_RETRIES) {
     try {
       return await fn();
     } catch (e) {
+      // Retrying won't bring a session back.
+      if (e instanceof SessionExpiredError) throw e;
+      // API answers ("no such module", "bad token") won't change either.
+      if (e instanceof WsError) throw e;
       lastErr = e;
       console.warn(`⚠️ Retry ${i}/${retries} failed: ${e.message}`);
       await sleep(300 * i); // backoff
@@ -156,6 +520,196 @@ async function withRetries(fn, retries = MAX_RETRIES) {
 }
 
 
+// ---------------------------------------------------------------------
+// Block 4.1: Per-host rate limit + worker pool
+// Why: parallel workers must not hammer Moodle. Every request we start
+//       (navigation or session fetch) first reserves a slot for its host;
+//       slots are spaced 1/HOST_RATE seconds apart across all workers.
+// ---------------------------------------------------------------------
+const hostNextSlot = new Map();
+
+async function throttle(urlStr) {
+  await sessionReady();
+  if (!(HOST_RATE > 0)) return;
+  let host;
+  try {
+    host = new URL(urlStr).host;
+  } catch {
+    return;
+  }
+  const now = Date.now();
+  const slot = Math.max(now, hostNextSlot.get(host) || 0);
+  hostNextSlot.set(host, slot + 1000 / HOST_RATE);
+  if (slot > now) await sleep(slot - now);
+}
+
+// Throttled, retried navigation; returns the navigation response.
+// Landing on (or being redirected through) Moodle's login page means the
+// session is gone: that throws SessionExpiredError instead of returning.
+async function navigate(page, url, waitUntil = 'networkidle2') {
+  const resp = await withRetries(async () => {
+    await throttle(url);
+    return page.goto(url, { waitUntil });
+  });
+  const hops = resp ? resp.request().redirectChain().map((r) => r.url()) : [];
+  if ([...hops, page.url()].some(isLoginUrl) || await isLoginPage(page)) throw sessionExpired(url);
+  return resp;
+}
+
+// Run worker(item, index, page) over items with one page per worker.
+async function runPool(items, worker, pages) {
+  let next = 0;
+  await Promise.all(pages.map(async (page) => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index, page);
+    }
+  }));
+}
+
+// ---------------------------------------------------------------------
+// Block 4.2: Session expiry (pause + resume)
+// What: Spot Moodle's login page (redirects to /login/index.php or an
+//       /auth/*/login.php SSO entry, or login-form HTML) on navigations and
+//       session fetches. The first hit pauses every request (throttle()
+//       waits here) until COOKIE_FILE changes and the new cookies get past
+//       the login page. Past SESSION_WAIT_MINUTES (0 = don't wait, the CI
+//       default) the run stops and saves what's left to .resume.json;
+//       `--resume` picks it up with fresh cookies.
+// Why: an expired MoodleSession otherwise turns every remaining resource
+//       into a bogus "preflight failed" / "not a real PDF".
+// ---------------------------------------------------------------------
+const LOGIN_PATH_RE = /\/login\/index\.php|\/auth\/[a-z0-9_]+\/login\.php/i;
+const LOGIN_HTML_RE = /id=["']page-login-index["']|name=["']logintoken["']/i;
+
+class SessionExpiredError extends Error {
+  constructor(url) {
+    super(`Session expired — Moodle sent its login page for ${url}; refresh ${COOKIE_FILE}`);
+    this.name = 'SessionExpiredError';
+    this.url = url;
+  }
+}
+
+const session = {
+  state: 'ok', // ok | paused | gave-up
+  page: null, // page used to install fresh cookies and probe
+  probeUrl: null,
+  renewal: null,
+};
+
+function isLoginUrl(urlStr) {
+  return LOGIN_PATH_RE.test(String(urlStr || ''));
+}
+
+async function isLoginPage(page) {
+  return Boolean(await page.$('body#page-login-index, input[name="logintoken"]').catch(() => null));
+}
+
+function looksLikeLoginFile(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+    const buf = Buffer.alloc(65536);
+    const n = fs.readSync(fd, buf, 0, buf.length, 0);
+    return LOGIN_HTML_RE.test(buf.toString('utf8', 0, n));
+  } catch {
+    return false;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+// Record an expiry; returns the error for the caller to throw.
+function sessionExpired(url) {
+  if (session.state === 'ok') {
+    session.state = 'paused';
+    session.probeUrl = url;
+  }
+  return new SessionExpiredError(url);
+}
+
+// Resolves while the session is usable; waits out a pause; throws once the
+// run has given up on getting fresh cookies.
+async function sessionReady() {
+  if (session.state === 'ok') return;
+  if (session.state === 'paused' && session.page) {
+    if (!session.renewal) session.renewal = waitForFreshCookies().finally(() => { session.renewal = null; });
+    await session.renewal;
+  }
+  if (session.state !== 'ok') throw new SessionExpiredError(session.probeUrl);
+}
+
+// COOKIE_FILE, reduced to the fields Puppeteer accepts (as sanitize-cookies.js does).
+// expires / sameSite are kept when valid so the browser ages cookies out as Moodle intended.
+function loadCookies() {
+  const raw = JSON.parse(fs.readFileSync(COOKIE_FILE, 'utf-8'));
+  if (!Array.isArray(raw)) throw new Error(`${COOKIE_FILE} must contain a JSON array`);
+  return raw
+    .filter((c) => c && c.name && c.domain)
+    .map(({ name, value, domain, path: cookiePath, secure, httpOnly, expires, sameSite }) => ({
+      name, value: String(value ?? ''), domain, path: cookiePath || '/', secure: secure !== false, httpOnly: Boolean(httpOnly),
+      ...(Number.isFinite(expires) && expires > 0 ? { expires } : {}),
+      ...(['Strict', 'Lax', 'None'].includes(sameSite) ? { sameSite } : {}),
+    }));
+}
+
+function fileStamp(file) {
+  try {
+    const st = fs.statSync(file);
+    return `${st.mtimeMs}:${st.size}`;
+  } catch {
+    return '';
+  }
+}
+
+// Does url get past the login page with the browser's current cookies?
+// Plain fetch: throttle() is what's paused.
+async function probeSession(page, url) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (isLoginUrl(current)) return false;
+    const resp = await fetch(current, { redirect: 'manual', headers: await sessionHeaders(page, current) });
+    const location = resp.headers.get('location');
+    if (resp.status >= 300 && resp.status < 400 && location) {
+      if (resp.body) await resp.body.cancel().catch(() => {});
+      current = new URL(location, current).toString();
+      continue;
+    }
+    const prefix = /text\/html/i.test(resp.headers.get('content-type') || '') ? await readPrefix(resp, 65536) : Buffer.alloc(0);
+    if (resp.body && !prefix.length) await resp.body.cancel().catch(() => {});
+    return !LOGIN_HTML_RE.test(prefix.toString('utf8'));
+  }
+  return false;
+}
+
+async function waitForFreshCookies() {
+  const deadline = Date.now() + SESSION_WAIT_MINUTES * 60000;
+  if (SESSION_WAIT_MINUTES > 0) {
+    console.warn(`\n🔒 Session expired (login page for ${session.probeUrl}). Paused.`);
+    console.warn(`   Export fresh cookies to ${COOKIE_FILE}; the run continues when the file changes (waiting up to ${SESSION_WAIT_MINUTES} min).`);
+  }
+  let stamp = fileStamp(COOKIE_FILE);
+  while (Date.now() < deadline) {
+    await sleep(2000);
+    const now = fileStamp(COOKIE_FILE);
+    if (now === stamp) continue;
+    stamp = now;
+    try {
+      await session.page.setCookie(...loadCookies());
+      if (await probeSession(session.page, session.probeUrl)) {
+        session.state = 'ok';
+        console.log('🔓 Fresh cookies accepted — resuming');
+        return;
+      }
+      console.warn(`⚠️ ${COOKIE_FILE} changed but still leads to the login page; still waiting`);
+    } catch (e) {
+      console.warn(`⚠️ Could not use ${COOKIE_FILE} yet (${e.message}); still waiting`);
+    }
+  }
+  session.state = 'gave-up';
+  console.warn(`\n🔒 Session expired and no fresh cookies arrived — stopping; remaining resources are saved for --resume`);
+}
+
 // ---------------------------------------------------------------------
 // Block 5: Magic-byte detection + extension mapping
 // Why: avoid saving login HTML as "pdf", and verify ZIP-first logic.
@@ -209,6 +763,8 @@ function extFromContentType(ct) {
 // Why: Moodle pages may offer multiple links; choose best one.
 //       Prefer ZIP when real ZIP; otherwise PDF; otherwise index.html package.
 // ---------------------------------------------------------------------
+const ACTIVITY_VIEW_RE = /\/mod\/(resource|page|url|folder|assign|forum|book)\/view\.php\?id=\d+/;
+
 function scoreCandidate(urlStr, resourceUrl) {
   const u = stripControlChars(urlStr).toLowerCase();
   const source = stripControlChars(resourceUrl).toLowerCase();
@@ -219,7 +775,7 @@ function scoreCandidate(urlStr, resourceUrl) {
   const isPluginfile = u.includes('/pluginfile.php/');
   const isForced = u.includes('forcedownload');
   const isSearchPage = u.includes('/course/search.php');
-  const isActivityView = /\/mod\/(resource|page|url)\/view\.php\?id=\d+/.test(u);
+  const isActivityView = ACTIVITY_VIEW_RE.test(u);
   const isSharepoint = u.includes('sharepoint.com') || u.includes('/stream.aspx');
   const fromUrlModule = source.includes('/mod/url/view.php?id=');
 
@@ -240,577 +796,3581 @@ function rankCandidates(candidates, resourceUrl) {
   const filtered = DOWNLOAD_ALL
     ? deduped.filter((h) => !h.toLowerCase().includes('/course/search.php'))
     : deduped.filter((h) => h.toLowerCase().includes('.pdf'));
-  const scored = filtered.map((h) => ({ href: h, score: scoreCandidate(h, resourceUrl) }));
+  const scored = filtered
+    .map((h) => ({ href: h, score: pluginScore(h, resourceUrl, scoreCandidate(h, resourceUrl)) }))
+    .filter((c) => c.score > 0);
   const sorted = scored.sort((a, b) => b.score - a.score);
   logDebug(`Ranked ${sorted.length} candidates`);
   return sorted;
 }
 
 // ---------------------------------------------------------------------
-// Block 7: Browser-context fetch (preflight + full download)
-// Why: uses session cookies + same-origin behavior automatically.
+// Block 6.1: JavaScript plugins (plugins/hooks/*.js)
+// Why: bash plugins (plugins/modules) only teach discovery new URL
+//       patterns. Site- or module-specific behaviour needs to reach into
+//       extraction, ranking and saving; lib/plugins.js loads it and these
+//       helpers run it. See plugins/hooks/README.md for the hook contract.
+// A plugin that won't load stops the run (exit 1). A hook that throws is
+// logged and skipped, except handleResource: that fails the resource
+// like any built-in handler would.
 // ---------------------------------------------------------------------
-async function preflight(page, fileUrl) {
-  return await page.evaluate(async (url, timeoutMs) => {
-    const doFetch = async (opts) => {
-      const ctrl = new AbortController();
-      const t = setTimeout(() => ctrl.abort(), timeoutMs);
-      try {
-        const resp = await fetch(url, {
-          credentials: 'include',
-          redirect: 'follow',
-          signal: ctrl.signal,
-          ...opts,
-        });
-        const ct = resp.headers.get('content-type') || '';
-        const cl = resp.headers.get('content-length') || '';
-        const status = resp.status;
-
-        let prefix = null;
-        if (opts.method !== 'HEAD') {
-          const ab = await resp.arrayBuffer();
-          prefix = Array.from(new Uint8Array(ab).slice(0, 256));
-        }
-        return { ok: resp.ok, status, ct, cl, prefix };
-      } finally {
-        clearTimeout(t);
-      }
-    };
-
-    try {
-      const head = await doFetch({ method: 'HEAD' });
-      if (head.ok) return head;
-    } catch (_) {}
+let plugins = [];
+if (JS_PLUGINS) {
+  try {
+    plugins = loadPlugins(HOOKS_DIR);
+  } catch (e) {
+    if (!(e instanceof PluginError)) throw e;
+    console.error(`❌ Plugin ${e.message}`);
+    process.exit(1);
+  }
+  if (plugins.length) console.log(`[INFO] JS plugins: ${plugins.map((p) => p.name).join(', ')}`);
+}
 
+function pluginScore(href, resourceUrl, score) {
+  let current = score;
+  for (const plugin of pluginsFor(plugins, 'scoreCandidate', resourceUrl)) {
     try {
-      return await doFetch({ method: 'GET', headers: { Range: 'bytes=0-4095' } });
+      const next = plugin.scoreCandidate({ url: href, resourceUrl, score: current });
+      if (typeof next === 'number' && !Number.isNaN(next)) current = next;
     } catch (e) {
-      return { ok: false, status: 0, ct: '', cl: '', prefix: null, error: String(e) };
+      console.warn(`⚠️ Plugin ${plugin.name}: scoreCandidate failed for ${href}: ${e.message}`);
     }
-  }, fileUrl, 15000);
+  }
+  return current;
 }
 
-async function downloadFull(page, fileUrl) {
-  return await page.evaluate(async (url, timeoutMs) => {
-    const ctrl = new AbortController();
-    const t = setTimeout(() => ctrl.abort(), timeoutMs);
-    try {
-      const resp = await fetch(url, { credentials: 'include', redirect: 'follow', signal: ctrl.signal });
-      const ct = resp.headers.get('content-type') || '';
-      const cl = resp.headers.get('content-length') || '';
-      const status = resp.status;
-      if (!resp.ok) return { ok: false, status, ct, cl, data: null };
-      const ab = await resp.arrayBuffer();
-      return { ok: true, status: resp.status, ct, cl, data: Array.from(new Uint8Array(ab)) };
-    } finally {
-      clearTimeout(t);
-    }
-  }, fileUrl, 60000);
+// Helpers a handleResource hook gets, already bound to this resource.
+function pluginContext(browser, page, resourceUrl, rid, target) {
+  return {
+    browser,
+    page,
+    resourceUrl,
+    rid,
+    target,
+    info: activityInfo.get(resourceUrl) || {},
+    outputDir: OUTPUT_DIR,
+    downloadAll: DOWNLOAD_ALL,
+    navigate: (url, waitUntil) => navigate(page, url, waitUntil),
+    saveToPath: (opts) => saveToPath(page, { rid, resourceUrl, target, ...opts }),
+    activityRoot: (kind) => activityRoot(target, rid, kind),
+    activityMeta: () => activityMeta(rid, resourceUrl, target),
+    reportOutput: (output) => reportOutput(resourceUrl, output),
+    settle: (status, reason, extra) => settle(resourceUrl, status, reason, extra),
+    sanitizeFilename,
+    log: logDebug,
+  };
 }
 
-// ---------------------------------------------------------------------
-// Block 8: HTML Package Detection + Mirroring
-// Why: index.html is only an entry point; dynamic assets must be harvested.
-// ---------------------------------------------------------------------
-function isHtmlPackageIndex(urlStr) {
-  try {
-    const u = new URL(urlStr);
-    return /\/pluginfile\.php\/\d+\/mod_resource\/content\/\d+\/index\.html$/i.test(u.pathname);
-  } catch {
-    return false;
+async function runPluginHandlers(browser, page, resourceUrl, rid, target) {
+  for (const plugin of pluginsFor(plugins, 'handleResource', resourceUrl)) {
+    if (await plugin.handleResource(pluginContext(browser, page, resourceUrl, rid, target))) {
+      reportEntry(resourceUrl).plugin = plugin.name;
+      logDebug(`[${rid}] Handled by plugin ${plugin.name}`);
+      return true;
+    }
   }
+  return false;
 }
 
-function baseDirOf(urlStr) {
-  const u = new URL(urlStr);
-  const idx = u.pathname.lastIndexOf('/');
-  return `${u.origin}${u.pathname.slice(0, idx + 1)}`;
+async function runAfterSave(file, meta, resourceUrl) {
+  for (const plugin of pluginsFor(plugins, 'afterSave', resourceUrl)) {
+    try {
+      await plugin.afterSave({ file, meta, resourceUrl, outputDir: OUTPUT_DIR });
+    } catch (e) {
+      console.warn(`⚠️ Plugin ${plugin.name}: afterSave failed for ${path.relative(OUTPUT_DIR, file)}: ${e.message}`);
+    }
+  }
 }
 
-function normalizeRelPath(ref) {
-  if (!ref) return null;
-  const r = String(ref).trim();
-  if (!r || r.startsWith('data:') || r.startsWith('blob:') || r.startsWith('javascript:')) return null;
-  return r;
+// ---------------------------------------------------------------------
+// Block 7: Session fetch (preflight + streaming download)
+// Why: requests reuse the browser session's cookies + user agent, but run
+//       in Node so bodies stream straight to disk. Nothing large crosses
+//       the DevTools bridge, so memory stays flat regardless of file size.
+// ---------------------------------------------------------------------
+const FETCH_IDLE_TIMEOUT_MS = 60000;
+const MAX_REDIRECTS = 10;
+
+async function sessionHeaders(page, url) {
+  const headers = { 'user-agent': await page.browser().userAgent() };
+  const cookies = await page.cookies(url);
+  if (cookies.length) headers.cookie = cookies.map((c) => `${c.name}=${c.value}`).join('; ');
+  return headers;
 }
 
-function shouldIgnoreRef(ref) {
-  const r = ref.toLowerCase();
-  return r.startsWith('#') || r.startsWith('mailto:') || r.startsWith('tel:');
+// Follows redirects by hand so each hop gets the cookies for its own URL.
+// `displayUrl` stands in for `url` in errors (e.g. when url carries a token).
+async function sessionFetch(page, url, { method = 'GET', headers = {}, signal, displayUrl = url } = {}) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await throttle(current);
+    const requestHeaders = { ...(await sessionHeaders(page, current)), ...headers };
+    const fetched = await fetch(current, { method, redirect: 'manual', signal, headers: requestHeaders });
+    const resp = WARC ? warcTap(current, method, requestHeaders, fetched) : fetched;
+    const location = resp.headers.get('location');
+    if (resp.status >= 300 && resp.status < 400 && location) {
+      if (resp.body) await resp.body.cancel().catch(() => {});
+      current = new URL(location, current).toString();
+      if (isLoginUrl(current)) throw sessionExpired(displayUrl);
+      continue;
+    }
+    return { resp, finalUrl: current };
+  }
+  throw new Error(`Too many redirects: ${displayUrl}`);
 }
 
-function extractRefsFromText(text) {
-  const out = new Set();
-  for (const m of text.matchAll(/(?:src|href)\s*=\s*["']([^"']+)["']/gi)) out.add(m[1]);
-  for (const m of text.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/gi)) out.add(m[1]);
-  for (const m of text.matchAll(/@import\s+(?:url\()?['"]([^'"]+)['"]\)?/gi)) out.add(m[1]);
-  return Array.from(out);
+function responseInfo(resp) {
+  return {
+    status: resp.status,
+    ct: resp.headers.get('content-type') || '',
+    cl: resp.headers.get('content-length') || '',
+    etag: resp.headers.get('etag') || '',
+    lastModified: resp.headers.get('last-modified') || '',
+  };
 }
 
-function localPathForRef(pkgDir, ref) {
-  const clean = ref.split('#')[0].split('?')[0].replace(/\\/g, '/');
-  const safe = clean.replace(/^\/+/, '');
-  if (!safe) return null;
-  return path.join(pkgDir, safe);
+async function readPrefix(resp, limit) {
+  if (!resp.body) return Buffer.alloc(0);
+  const reader = resp.body.getReader();
+  const chunks = [];
+  let total = 0;
+  try {
+    while (total < limit) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(Buffer.from(value));
+      total += value.length;
+    }
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+  return Buffer.concat(chunks).subarray(0, limit);
 }
 
-async function fetchBinary(page, url) {
-  return await page.evaluate(async (fileUrl, timeoutMs) => {
+async function preflight(page, fileUrl) {
+  const attempt = async (method, headers) => {
     const ctrl = new AbortController();
-    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+    const t = setTimeout(() => ctrl.abort(), 15000);
     try {
-      const resp = await fetch(fileUrl, { credentials: 'include', redirect: 'follow', signal: ctrl.signal });
-      const ct = resp.headers.get('content-type') || '';
-      const status = resp.status;
-      if (!resp.ok) return { ok: false, status, ct, data: null };
-      const ab = await resp.arrayBuffer();
-      return { ok: true, status, ct, data: Array.from(new Uint8Array(ab)) };
-    } catch (e) {
-      return { ok: false, status: 0, ct: '', data: null, error: String(e) };
+      const { resp, finalUrl } = await sessionFetch(page, fileUrl, { method, headers, signal: ctrl.signal });
+      const prefix = method === 'HEAD' ? null : await readPrefix(resp, 256);
+      return { ok: resp.ok, ...responseInfo(resp), prefix, finalUrl };
     } finally {
       clearTimeout(t);
     }
-  }, url, 30000);
-}
+  };
 
-function ensureDir(dir) {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-}
+  try {
+    const head = await attempt('HEAD', {});
+    if (head.ok) return head;
+  } catch (_) {}
 
-function uniqueDir(dir) {
-  if (!fs.existsSync(dir)) return dir;
-  for (let i = 1; i < 10000; i++) {
-    const candidate = `${dir}-${i}`;
-    if (!fs.existsSync(candidate)) return candidate;
+  try {
+    return await attempt('GET', { Range: 'bytes=0-4095' });
+  } catch (e) {
+    return { ok: false, status: 0, ct: '', cl: '', prefix: null, error: String(e) };
   }
-  return `${dir}-${Date.now()}`;
 }
 
-async function mirrorHtmlPackage(browser, page, rid, entryUrl, entryBuf) {
-  const baseDir = baseDirOf(entryUrl);
-  const baseOrigin = new URL(entryUrl).origin;
-  const packageRoot = uniqueDir(path.join(OUTPUT_DIR, `${rid}-package`));
-  ensureDir(packageRoot);
-
-  const indexPath = path.join(packageRoot, 'index.html');
-  fs.writeFileSync(indexPath, entryBuf);
-  logDebug(`Saved HTML package entry: ${indexPath}`);
+/**
+ * Stream fileUrl to destPath via "<destPath>.part".
+ * - Resumes an existing .part with Range + If-Range when the server gave a
+ *   validator (ETag / Last-Modified) for it; otherwise starts over.
+ * - Aborts when no bytes arrive for FETCH_IDLE_TIMEOUT_MS.
+ * - Enforces MAX_BYTES while streaming (content-length may be absent).
+ * Network errors throw (so withRetries resumes); HTTP errors return ok:false.
+ */
+// `requestUrl` is fetched instead of fileUrl when it differs (the web
+// service's token URL); fileUrl is what the .part state, logs and errors show.
+async function streamDownload(page, fileUrl, destPath, { requestUrl = fileUrl } = {}) {
+  const partPath = `${destPath}.part`;
+  const statePath = `${partPath}.json`;
+  ensureDir(path.dirname(destPath));
 
-  const visitedUrls = new Set();
-  const savedFiles = new Set();
-  const queue = [];
+  let resumeFrom = 0;
+  let state = null;
+  if (fs.existsSync(partPath) && fs.existsSync(statePath)) {
+    try {
+      state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    } catch {
+      state = null;
+    }
+    if (state && state.url === fileUrl && (state.etag || state.lastModified)) {
+      resumeFrom = fs.statSync(partPath).size;
+    }
+  }
 
-  const seedRefs = extractRefsFromText(entryBuf.toString('utf8'));
-  for (const ref of seedRefs) {
-    const normalized = normalizeRelPath(ref);
-    if (!normalized || shouldIgnoreRef(normalized)) continue;
-    queue.push({ ref: normalized, depth: 1 });
+  const headers = {};
+  if (resumeFrom > 0) {
+    headers.Range = `bytes=${resumeFrom}-`;
+    headers['If-Range'] = state.etag || state.lastModified;
+    logDebug(`Resuming ${fileUrl} at byte ${resumeFrom}`);
   }
 
-  while (queue.length && savedFiles.size < MIRROR_MAX_FILES) {
-    const { ref, depth } = queue.shift();
-    if (depth > MIRROR_MAX_DEPTH) continue;
+  const ctrl = new AbortController();
+  let idle = setTimeout(() => ctrl.abort(), FETCH_IDLE_TIMEOUT_MS);
+  const touch = () => {
+    clearTimeout(idle);
+    idle = setTimeout(() => ctrl.abort(), FETCH_IDLE_TIMEOUT_MS);
+  };
 
-    let absolute;
-    try {
-      absolute = new URL(ref, entryUrl).toString();
-    } catch {
-      continue;
-    }
+  try {
+    const fetched = await sessionFetch(page, requestUrl, { headers, signal: ctrl.signal, displayUrl: fileUrl });
+    const { resp } = fetched;
+    const finalUrl = redactToken(fetched.finalUrl);
+    const info = responseInfo(resp);
 
-    if (!absolute.startsWith(baseDir)) {
-      logDebug(`Skipping external ref: ${absolute}`);
-      continue;
+    if (resp.status === 416 && resumeFrom > 0) {
+      // Stale partial (file shrank or changed): drop it and start over.
+      if (resp.body) await resp.body.cancel().catch(() => {});
+      fs.rmSync(partPath, { force: true });
+      fs.rmSync(statePath, { force: true });
+      return await streamDownload(page, fileUrl, destPath, { requestUrl });
+    }
+    if (!resp.ok) {
+      if (resp.body) await resp.body.cancel().catch(() => {});
+      return { ok: false, ...info, finalUrl };
     }
 
-    if (visitedUrls.has(absolute)) continue;
-    visitedUrls.add(absolute);
+    const range = resp.status === 206 ? /^bytes (\d+)-\d+\/(\d+|\*)/i.exec(resp.headers.get('content-range') || '') : null;
+    const appending = resumeFrom > 0 && range && Number(range[1]) === resumeFrom;
+    if (!appending) resumeFrom = 0;
+    if (range && range[2] !== '*') info.cl = range[2];
 
-    const localRef = absolute.slice(baseDir.length);
-    const localPath = localPathForRef(packageRoot, localRef);
-    if (!localPath) continue;
-    ensureDir(path.dirname(localPath));
+    fs.writeFileSync(statePath, JSON.stringify({ url: fileUrl, etag: info.etag, lastModified: info.lastModified }));
 
-    const result = await withRetries(() => fetchBinary(page, absolute));
-    if (!result || !result.ok || !result.data) continue;
+    const hash = crypto.createHash('sha256');
+    if (appending) {
+      await pipeline(fs.createReadStream(partPath), new Transform({
+        transform(chunk, _enc, cb) { hash.update(chunk); cb(); },
+      }));
+    }
 
-    const dataBuf = Buffer.from(result.data);
-    fs.writeFileSync(localPath, dataBuf);
-    savedFiles.add(localPath);
+    let bytes = resumeFrom;
+    let tooLarge = false;
+    const meter = new Transform({
+      transform(chunk, _enc, cb) {
+        touch();
+        bytes += chunk.length;
+        if (bytes > MAX_BYTES) {
+          tooLarge = true;
+          cb(new Error(`exceeds ${MAX_BYTES} bytes`));
+          return;
+        }
+        hash.update(chunk);
+        cb(null, chunk);
+      },
+    });
 
-    const contentType = (result.ct || '').toLowerCase();
-    const isText = contentType.includes('text/') || contentType.includes('javascript') || contentType.includes('json');
-    if (isText && depth < MIRROR_MAX_DEPTH) {
-      const refs = extractRefsFromText(dataBuf.toString('utf8'));
-      for (const child of refs) {
-        const normalized = normalizeRelPath(child);
-        if (!normalized || shouldIgnoreRef(normalized)) continue;
-        queue.push({ ref: normalized, depth: depth + 1 });
+    try {
+      await pipeline(
+        Readable.fromWeb(resp.body),
+        meter,
+        fs.createWriteStream(partPath, { flags: appending ? 'a' : 'w' }),
+      );
+    } catch (e) {
+      if (!tooLarge) throw e;
+      fs.rmSync(partPath, { force: true });
+      fs.rmSync(statePath, { force: true });
+      return { ok: false, tooLarge: true, ...info, finalUrl };
+    }
+
+    // Length check: fetch hands us decoded bytes, so only an unencoded
+    // content-length is comparable. A short body keeps its .part (the
+    // retry resumes from it); a long one is discarded.
+    const expected = info.cl && !resp.headers.get('content-encoding') ? Number(info.cl) : NaN;
+    if (Number.isFinite(expected) && bytes !== expected) {
+      if (bytes > expected) {
+        fs.rmSync(partPath, { force: true });
+        fs.rmSync(statePath, { force: true });
       }
+      throw new IntegrityError(bytes < expected ? 'truncated' : 'length-mismatch', `Got ${bytes} of ${expected} bytes from ${fileUrl}`);
     }
+
+    fs.renameSync(partPath, destPath);
+    fs.rmSync(statePath, { force: true });
+
+    const fd = fs.openSync(destPath, 'r');
+    const prefix = Buffer.alloc(Math.min(512, bytes));
+    fs.readSync(fd, prefix, 0, prefix.length, 0);
+    fs.closeSync(fd);
+
+    // Structure check: a PDF needs its trailer, a ZIP its central directory.
+    // The server sends the same bytes again, so this is not retried: the file
+    // is kept with the problem noted for the run report and verify.js.
+    const problem = structureProblem(destPath);
+    const integrity = {
+      length: Number.isFinite(expected) ? 'matched' : 'unknown',
+      structure: structureKind(prefix) || 'none',
+      ...(problem ? { problem } : {}),
+    };
+
+    return { ok: true, ...info, finalUrl, bytes, sha256: hash.digest('hex'), prefix, path: destPath, integrity };
+  } finally {
+    clearTimeout(idle);
   }
+}
 
-  if (savedFiles.size >= MIRROR_MAX_FILES) {
-    logDebug(`Reached MIRROR_MAX_FILES limit (${MIRROR_MAX_FILES}) for ${rid}`);
+// ---------------------------------------------------------------------
+// Block 7.3: WARC capture (WARC=1)
+// What: Record every HTTP exchange — session fetches (preflights, downloads,
+//       segments) and browser traffic (activity pages, harvested assets) —
+//       as request/response records in gzipped WARC 1.0 files, each file
+//       opened by a warcinfo record, plus a metadata record per saved item.
+// Why: standard web-archive tools (pywb, ReplayWeb.page) can replay the
+//      capture; the regular file output is written alongside as before.
+// Notes: bodies are stored decoded (fetch/Chrome undo gzip), so
+//        Content-Encoding/Length are kept as X-Archive-Orig-* and
+//        Content-Length is rewritten. Cookie values are redacted.
+// ---------------------------------------------------------------------
+const WARC_TMP_DIR = path.join(WARC_DIR, '.tmp');
+const WARC_PREFIX = `solomon-${new Date().toISOString().replace(/[-:]|\.\d+Z$/g, '').replace('T', '-')}`;
+const WARC_REDACT = new Set(['cookie', 'set-cookie', 'authorization']);
+const WARC_REWRITE = new Set(['content-encoding', 'transfer-encoding', 'content-length']);
+
+const warc = { file: null, infoId: null, serial: 0, tmpSerial: 0, queue: Promise.resolve() };
+
+const warcDate = (d = new Date()) => d.toISOString().replace(/\.\d{3}Z$/, 'Z');
+const warcId = () => `<urn:uuid:${crypto.randomUUID()}>`;
+
+function base32(buf) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
   }
+  if (bits > 0) out += alphabet[(value << (5 - bits)) & 31];
+  return out;
+}
 
-  let harvestedCount = 0;
-  const harvestLimit = Math.max(0, MIRROR_MAX_FILES - savedFiles.size);
-  const harvestedUrls = new Set();
+// parts: Buffers and { file, size } payloads spooled to disk.
+async function sha1Parts(parts) {
+  const hash = crypto.createHash('sha1');
+  for (const part of parts) {
+    if (Buffer.isBuffer(part)) hash.update(part);
+    else for await (const chunk of fs.createReadStream(part.file)) hash.update(chunk);
+  }
+  return `sha1:${base32(hash.digest())}`;
+}
 
-  const localPathForAsset = (url) => {
-    if (url.startsWith(baseDir)) {
-      const rel = url.slice(baseDir.length);
-      return localPathForRef(packageRoot, rel);
+function warcHeaderBlock(fields, length) {
+  const lines = Object.entries({ ...fields, 'Content-Length': length })
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${k}: ${v}\r\n`);
+  return Buffer.from(`WARC/1.0\r\n${lines.join('')}\r\n`);
+}
+
+// Rotate at WARC_MAX_BYTES; every new file starts with a warcinfo record.
+function currentWarcFile() {
+  if (warc.file && fs.existsSync(warc.file) && fs.statSync(warc.file).size < WARC_MAX_BYTES) return warc.file;
+  ensureDir(WARC_DIR);
+  warc.file = path.join(WARC_DIR, `${WARC_PREFIX}-${String(warc.serial++).padStart(5, '0')}.warc.gz`);
+  warc.infoId = warcId();
+  const info = Buffer.from([
+    'software: SolomonMoodle download-pdfs.js',
+    'format: WARC File Format 1.0',
+    'conformsTo: http://bibnum.bnf.fr/WARC/WARC_ISO_28500_version1_latestdraft.pdf',
+    `isPartOf: ${COURSE ? `course ${COURSE}` : path.basename(OUTPUT_DIR)}`,
+    `description: Moodle capture (DOWNLOAD_ALL=${DOWNLOAD_ALL ? 1 : 0}); cookie values redacted`,
+  ].join('\r\n') + '\r\n');
+  const head = warcHeaderBlock({
+    'WARC-Type': 'warcinfo',
+    'WARC-Date': warcDate(),
+    'WARC-Filename': path.basename(warc.file),
+    'WARC-Record-ID': warc.infoId,
+    'Content-Type': 'application/warc-fields',
+  }, info.length);
+  fs.writeFileSync(warc.file, zlib.gzipSync(Buffer.concat([head, info, Buffer.from('\r\n\r\n')])));
+  return warc.file;
+}
+
+// One gzip member per record, as replay tools expect.
+async function appendWarcRecord(fields, parts) {
+  const length = parts.reduce((n, part) => n + (Buffer.isBuffer(part) ? part.length : part.size), 0);
+  const file = currentWarcFile();
+  const head = warcHeaderBlock({
+    ...fields,
+    'WARC-Warcinfo-ID': warc.infoId,
+    'WARC-Block-Digest': await sha1Parts(parts),
+  }, length);
+  async function* chunks() {
+    yield head;
+    for (const part of parts) {
+      if (Buffer.isBuffer(part)) yield part;
+      else yield* fs.createReadStream(part.file);
     }
-    if (url.startsWith(baseOrigin)) {
-      const rel = url.slice(baseOrigin.length).replace(/^\//, '');
-      if (!rel) return null;
-      return path.join(packageRoot, '_external', rel);
+    yield Buffer.from('\r\n\r\n');
+  }
+  await pipeline(Readable.from(chunks()), zlib.createGzip(), fs.createWriteStream(file, { flags: 'a' }));
+}
+
+// Records are written one at a time, in completion order.
+function warcEnqueue(job) {
+  warc.queue = warc.queue.then(job).catch((e) => console.warn(`⚠️ WARC write failed: ${e.message}`));
+  return warc.queue;
+}
+
+function httpHeaderLines(headers) {
+  const lines = [];
+  for (const [name, value] of Object.entries(headers || {})) {
+    const lower = name.toLowerCase();
+    // Chrome joins repeated headers with "\n".
+    for (const v of String(value).split('\n')) {
+      if (WARC_REDACT.has(lower)) lines.push(`${name}: [redacted]`);
+      else if (WARC_REWRITE.has(lower)) lines.push(`X-Archive-Orig-${name}: ${v}`);
+      else lines.push(`${name}: ${v}`);
     }
-    return null;
+  }
+  return lines;
+}
+
+/**
+ * Write a response record and its request record (linked with
+ * WARC-Concurrent-To). ex: { url, method, requestHeaders, requestBody,
+ * status, statusText, responseHeaders, payload, truncated, ip, date }.
+ */
+async function writeExchange(ex) {
+  const u = new URL(ex.url);
+  const date = warcDate(ex.date);
+  const payload = ex.payload || Buffer.alloc(0);
+  const payloadSize = Buffer.isBuffer(payload) ? payload.length : payload.size;
+  const responseId = warcId();
+
+  const responseHead = Buffer.from([
+    `HTTP/1.1 ${ex.status} ${ex.statusText || STATUS_CODES[ex.status] || ''}`.trim(),
+    ...httpHeaderLines(ex.responseHeaders),
+    `Content-Length: ${payloadSize}`,
+  ].join('\r\n') + '\r\n\r\n');
+  await appendWarcRecord({
+    'WARC-Type': 'response',
+    'WARC-Record-ID': responseId,
+    'WARC-Date': date,
+    'WARC-Target-URI': ex.url,
+    'WARC-IP-Address': ex.ip,
+    'WARC-Payload-Digest': await sha1Parts([payload]),
+    'WARC-Truncated': ex.truncated,
+    'Content-Type': 'application/http; msgtype=response',
+  }, [responseHead, payload]);
+
+  const requestBody = ex.requestBody ? Buffer.from(ex.requestBody) : Buffer.alloc(0);
+  const hasHost = Object.keys(ex.requestHeaders || {}).some((k) => k.toLowerCase() === 'host');
+  const requestHead = Buffer.from([
+    `${ex.method || 'GET'} ${u.pathname}${u.search} HTTP/1.1`,
+    ...(hasHost ? [] : [`Host: ${u.host}`]),
+    ...httpHeaderLines(ex.requestHeaders),
+  ].join('\r\n') + '\r\n\r\n');
+  await appendWarcRecord({
+    'WARC-Type': 'request',
+    'WARC-Record-ID': warcId(),
+    'WARC-Date': date,
+    'WARC-Target-URI': ex.url,
+    'WARC-Concurrent-To': responseId,
+    'Content-Type': 'application/http; msgtype=request',
+  }, [requestHead, requestBody]);
+}
+
+/**
+ * Session fetches: hand back an equivalent Response whose body is spooled
+ * to a temp file as the caller reads it. The exchange is recorded when the
+ * body ends — or, if the caller cancels early (preflight prefix, size cap),
+ * with WARC-Truncated: disconnect.
+ */
+function warcTap(url, method, requestHeaders, resp) {
+  const ex = {
+    url: redactToken(url), method, requestHeaders,
+    status: resp.status, statusText: resp.statusText,
+    responseHeaders: Object.fromEntries(resp.headers), date: new Date(),
   };
+  // Redirect bodies are discarded by sessionFetch; record the hop as-is.
+  if (!resp.body || (resp.status >= 300 && resp.status < 400)) {
+    warcEnqueue(() => writeExchange(ex));
+    return resp;
+  }
 
-  const attachHarvester = (harvestTarget) => {
-    harvestTarget.on('response', async (resp) => {
+  ensureDir(WARC_TMP_DIR);
+  const file = path.join(WARC_TMP_DIR, `${process.pid}-${warc.tmpSerial++}`);
+  const fd = fs.openSync(file, 'w');
+  let size = 0;
+  let finished = false;
+  const finish = (truncated) => {
+    if (finished) return;
+    finished = true;
+    fs.closeSync(fd);
+    warcEnqueue(async () => {
       try {
-        if (harvestedCount >= harvestLimit) return;
-        const url = resp.url();
-        if (!url.startsWith(baseOrigin)) return;
-        if (harvestedUrls.has(url)) return;
-        harvestedUrls.add(url);
+        await writeExchange({ ...ex, payload: { file, size }, truncated });
+      } finally {
+        fs.rmSync(file, { force: true });
+      }
+    });
+  };
 
-        let buffer = null;
-        const status = resp.status();
-        const contentType = (resp.headers()['content-type'] || '').toLowerCase();
+  const reader = resp.body.getReader();
+  const body = new ReadableStream({
+    async pull(ctrl) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          finish(null);
+          ctrl.close();
+          return;
+        }
+        fs.writeSync(fd, value);
+        size += value.length;
+        ctrl.enqueue(value);
+      } catch (e) {
+        finish('disconnect');
+        ctrl.error(e);
+      }
+    },
+    cancel(reason) {
+      finish('disconnect');
+      return reader.cancel(reason);
+    },
+  });
+  return new Response(body, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+}
+
+// Browser traffic: activity pages, forum/book pages, harvested assets.
+// Range (206) responses are skipped; the harvester fetches those files in
+// full through sessionFetch, which records them.
+const warcRecorded = new WeakSet();
+
+function attachWarcRecorder(target) {
+  if (warcRecorded.has(target)) return;
+  warcRecorded.add(target);
+  target.on('response', async (resp) => {
+    try {
+      const url = resp.url();
+      if (!/^https?:/i.test(url)) return;
+      const status = resp.status();
+      if (status === 206) return;
+      const req = resp.request();
+      const noBody = (status >= 300 && status < 400) || status === 204 || status === 304 || req.method() === 'HEAD';
+      const payload = noBody ? Buffer.alloc(0) : await resp.buffer().catch(() => null);
+      warcEnqueue(() => writeExchange({
+        url,
+        method: req.method(),
+        requestHeaders: req.headers(),
+        requestBody: req.postData(),
+        status,
+        statusText: resp.statusText(),
+        responseHeaders: resp.headers(),
+        payload: payload || Buffer.alloc(0),
+        truncated: payload ? null : 'unspecified',
+        ip: resp.remoteAddress()?.ip,
+        date: new Date(),
+      }));
+    } catch (e) {
+      logDebug(`WARC capture error: ${e.message}`);
+    }
+  });
+}
+
+// Ties a saved local file back to the captured URL it came from.
+function warcMetadata(entry) {
+  const info = activityInfo.get(entry.url) || {};
+  const body = Buffer.from(Object.entries({
+    'resource-id': entry.rid,
+    'activity-url': entry.url,
+    'activity-title': info.title,
+    section: info.section,
+    type: entry.type,
+    'local-path': entry.path,
+    sha256: entry.sha256,
+    etag: entry.etag,
+    'last-modified': entry.lastModified,
+  })
+    .filter(([, v]) => v)
+    .map(([k, v]) => `${k}: ${String(v).replace(/[\r\n]+/g, ' ')}\r\n`)
+    .join(''));
+  warcEnqueue(() => appendWarcRecord({
+    'WARC-Type': 'metadata',
+    'WARC-Record-ID': warcId(),
+    'WARC-Date': warcDate(),
+    'WARC-Target-URI': entry.resolvedUrl || entry.url,
+    'Content-Type': 'application/warc-fields',
+  }, [body]));
+}
+
+async function closeWarc() {
+  await warc.queue;
+  fs.rmSync(WARC_TMP_DIR, { recursive: true, force: true });
+  if (warc.file) console.log(`[INFO] WARC written to ${path.relative(OUTPUT_DIR, WARC_DIR)}/ (${warc.serial} file(s))`);
+}
+
+// ---------------------------------------------------------------------
+// Block 7.1: Sync manifest (incremental runs)
+// Why: re-runs should skip content we already hold, re-download what
+//       changed, and keep the previous copy instead of "file (1).pdf".
+// Manifest lives at <OUTPUT_DIR>/.sync-manifest.json, keyed by
+// "<rid> <resolved URL>" (without the revision Moodle puts in file URLs);
+// superseded files move to <OUTPUT_DIR>/_versions/.
+// ---------------------------------------------------------------------
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_FILE)) return { version: 1, entries: {} };
+  try {
+    const parsed = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf-8'));
+    // Re-key entries written with the full URL; the newest one wins.
+    const entries = {};
+    for (const [key, entry] of Object.entries(parsed.entries || {})) {
+      const stable = entry.rid && entry.resolvedUrl ? manifestKey(entry.rid, entry.resolvedUrl) : key;
+      const kept = entries[stable];
+      if (!kept || String(kept.savedAt || '') < String(entry.savedAt || '')) entries[stable] = entry;
+    }
+    return { version: 1, entries };
+  } catch (e) {
+    console.warn(`⚠️ Ignoring unreadable manifest ${MANIFEST_FILE}: ${e.message}`);
+    return { version: 1, entries: {} };
+  }
+}
+
+const manifest = loadManifest();
+
+function saveManifest() {
+  const tmp = `${MANIFEST_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmp, MANIFEST_FILE);
+}
+
+// Replacing a file bumps the <rev> in .../pluginfile.php/<ctx>/<component>/content/<rev>/...,
+// so it's left out (with forcedownload): an update then finds the old entry.
+function stableFileUrl(urlStr) {
+  let u;
+  try {
+    u = new URL(urlStr);
+  } catch {
+    return urlStr;
+  }
+  u.pathname = u.pathname.replace(/(\/pluginfile\.php\/\d+\/[^/]+\/content)\/\d+\//, '$1/');
+  u.searchParams.delete('forcedownload');
+  return u.toString();
+}
+
+function manifestKey(rid, resolvedUrl) {
+  return `${rid} ${stableFileUrl(resolvedUrl)}`;
+}
+
+function manifestLocalPath(entry) {
+  if (!entry || !entry.path) return null;
+  const p = path.join(OUTPUT_DIR, entry.path);
+  return fs.existsSync(p) ? p : null;
+}
+
+// Server validators say "same as last time" (without downloading).
+function isUnchanged(entry, headers) {
+  if (FORCE || !entry || !headers || !manifestLocalPath(entry)) return false;
+  if (headers.etag && entry.etag) return headers.etag === entry.etag;
+  if (headers.lastModified && entry.lastModified && headers.lastModified === entry.lastModified) {
+    const size = headers.cl ? Number(headers.cl) : NaN;
+    return Number.isNaN(size) || entry.size == null || size === entry.size;
+  }
+  return false;
+}
+
+// Move the current copy (file or package dir, plus its sidecar) into _versions/.
+function archiveVersion(entry) {
+  const current = manifestLocalPath(entry);
+  if (!current) return null;
+  ensureDir(VERSIONS_DIR);
+  const stamp = String(entry.savedAt || new Date().toISOString()).replace(/[:.]/g, '-');
+  const base = path.basename(current);
+  const ext = fs.statSync(current).isDirectory() ? '' : path.extname(base);
+  const stem = base.slice(0, base.length - ext.length);
+  const target = uniquePath(VERSIONS_DIR, `${stem}.${stamp}${ext}`);
+  fs.renameSync(current, target);
+  if (fs.existsSync(`${current}.meta.json`)) fs.renameSync(`${current}.meta.json`, `${target}.meta.json`);
+  logDebug(`Archived previous version: ${target}`);
+  return target;
+}
+
+function recordManifest(key, fields) {
+  manifest.entries[key] = {
+    ...manifest.entries[key],
+    ...fields,
+    path: path.relative(OUTPUT_DIR, fields.path),
+    savedAt: new Date().toISOString(),
+  };
+  saveManifest();
+  if (WARC) warcMetadata(manifest.entries[key]);
+}
+
+// ---------------------------------------------------------------------
+// Block 7.2: saveToPath() – download one file to a known location
+// Why: activity handlers (folders, ...) know exactly where each file
+//       belongs. This wraps manifest checks, streaming, versioning, the
+//       .meta.json sidecar and summary counters for them.
+// `download` must resolve like streamDownload(page, fileUrl, destPath).
+// `version` (e.g. the web service's timemodified + size) settles "unchanged"
+// without a request when it matches the manifest.
+// Returns { status, path }: status 'saved' | 'updated' | 'unchanged' | 'skipped'
+// | 'failed'; path is where the file is now (null when skipped or failed),
+// which can differ from outPath (uniquePath, or the manifest's copy).
+// ---------------------------------------------------------------------
+async function saveToPath(page, {
+  rid, resourceUrl, fileUrl, outPath, target, extraMeta = {}, requirePdf = !DOWNLOAD_ALL, download = streamDownload, version = '',
+}) {
+  const key = manifestKey(rid, fileUrl);
+  const prev = manifest.entries[key];
+  const label = path.relative(OUTPUT_DIR, outPath);
+
+  if (prev && !FORCE && version && prev.version === version && manifestLocalPath(prev)) {
+    logDebug(`Unchanged (same version): ${prev.path}`);
+    summary.unchanged += 1;
+    reportOutput(resourceUrl, { url: fileUrl, path: manifestLocalPath(prev), status: 'unchanged', reason: 'not-modified' });
+    return { status: 'unchanged', path: manifestLocalPath(prev) };
+  }
+  if (prev && !FORCE && !(version && prev.version)) {
+    const pf = await withRetries(() => preflight(page, fileUrl));
+    if (isUnchanged(prev, pf)) {
+      logDebug(`Unchanged: ${prev.path}`);
+      summary.unchanged += 1;
+      reportOutput(resourceUrl, { url: fileUrl, path: manifestLocalPath(prev), status: 'unchanged', reason: 'not-modified' });
+      return { status: 'unchanged', path: manifestLocalPath(prev) };
+    }
+  }
+
+  const tempPath = path.join(PARTIAL_DIR, crypto.createHash('sha1').update(key).digest('hex'));
+  let full;
+  try {
+    full = await withRetries(() => download(page, fileUrl, tempPath));
+  } catch (err) {
+    if (!(err instanceof IntegrityError)) throw err;
+    console.warn(`❌ [${rid}] ${label}: ${err.message}`);
+    summary.failed += 1;
+    reportOutput(resourceUrl, { url: fileUrl, status: 'failed', reason: err.reason, detail: err.message });
+    return { status: 'failed', path: null };
+  }
+  if (full && full.tooLarge) {
+    console.warn(`⏭️ [${rid}] Skipping ${label} (larger than ${MAX_BYTES} bytes; set ALLOW_LARGE=1)`);
+    summary.skipped += 1;
+    reportOutput(resourceUrl, { url: fileUrl, status: 'skipped', reason: 'over-size-cap' });
+    return { status: 'skipped', path: null };
+  }
+  if (full && full.ok && /text\/html/i.test(full.ct || '') && looksLikeLoginFile(tempPath)) {
+    fs.rmSync(tempPath, { force: true });
+    throw sessionExpired(fileUrl);
+  }
+  if (!full || !full.ok) {
+    console.warn(`❌ [${rid}] Download failed for ${label}: HTTP ${full?.status ?? '??'}`);
+    summary.failed += 1;
+    reportOutput(resourceUrl, { url: fileUrl, status: 'failed', reason: 'http-error', httpStatus: full?.status ?? null });
+    return { status: 'failed', path: null };
+  }
+  if (requirePdf && !looksLikePDF(full.prefix)) {
+    console.warn(`⏭️ [${rid}] Skipping ${label} (not a real PDF; ct=${full.ct || 'n/a'})`);
+    fs.rmSync(tempPath, { force: true });
+    summary.skipped += 1;
+    reportOutput(resourceUrl, { url: fileUrl, status: 'skipped', reason: 'not-pdf', contentType: full.ct || '' });
+    return { status: 'skipped', path: null };
+  }
+
+  const validators = { etag: full.etag || '', lastModified: full.lastModified || '' };
+  const versionField = version ? { version } : {};
+  if (!FORCE && prev && prev.sha256 === full.sha256 && manifestLocalPath(prev)) {
+    fs.rmSync(tempPath, { force: true });
+    recordManifest(key, { ...validators, ...versionField, path: manifestLocalPath(prev) });
+    summary.unchanged += 1;
+    reportOutput(resourceUrl, { url: fileUrl, path: manifestLocalPath(prev), status: 'unchanged', reason: 'same-content' });
+    return { status: 'unchanged', path: manifestLocalPath(prev) };
+  }
+
+  const replaced = prev ? archiveVersion(prev) : null;
+  ensureDir(path.dirname(outPath));
+  const finalPath = fs.existsSync(outPath) ? uniquePath(path.dirname(outPath), path.basename(outPath)) : outPath;
+  fs.renameSync(tempPath, finalPath);
+
+  const meta = {
+    ...activityMeta(rid, resourceUrl, target),
+    ...extraMeta,
+    downloadedFrom: fileUrl,
+    contentType: full.ct || '',
+    contentLength: full.cl || '',
+    etag: validators.etag,
+    lastModified: validators.lastModified,
+    size: full.bytes,
+    sha256: full.sha256,
+    ...(full.integrity ? { integrity: full.integrity } : {}),
+  };
+  fs.writeFileSync(`${finalPath}.meta.json`, JSON.stringify(meta, null, 2));
+  recordManifest(key, {
+    rid, url: meta.url, resolvedUrl: fileUrl, type: 'file',
+    ...validators, ...versionField, size: full.bytes, sha256: full.sha256, path: finalPath,
+  });
+
+  summary.savedFiles += 1;
+  if (replaced) summary.updated += 1;
+  bump(summary.byMime, (full.ct || 'unknown').split(';')[0]);
+  bump(summary.byExt, path.extname(finalPath).toLowerCase() || '(no-ext)');
+  const corrupt = full.integrity && full.integrity.problem;
+  reportOutput(resourceUrl, {
+    url: fileUrl, path: finalPath, status: replaced ? 'updated' : 'saved', bytes: full.bytes,
+    ...(corrupt ? { reason: 'corrupt', detail: corrupt } : {}),
+  });
+  console.log(`${replaced ? '🔄 Updated' : '✅ Saved'}: ${path.relative(OUTPUT_DIR, finalPath)}`);
+  if (corrupt) console.warn(`⚠️ [${rid}] ${label}: ${corrupt} (kept as sent)`);
+  dedupe(finalPath, full.sha256, resourceUrl);
+  await unpackZip(finalPath, meta, resourceUrl);
+  await runAfterSave(finalPath, meta, resourceUrl);
+  return { status: replaced ? 'updated' : 'saved', path: finalPath };
+}
+
+// ---------------------------------------------------------------------
+// Block 7.4: ZIP extraction (UNZIP=1)
+// Why: ZIPs on Moodle are mostly bundled slides or exported HTML packages,
+//       which are only useful unpacked. Each saved .zip is extracted next
+//       to itself as "<name>/", with "<name>.meta.json" listing every file
+//       that came out (verify.js checks them). lib/unzip.js refuses the
+//       whole archive on path traversal, absolute paths, symlinks or a size
+//       / entry count over the caps; the ZIP itself is kept either way.
+// An index.html at the top (or inside a single top-level folder) makes the
+// directory a package, like a mirrored one.
+// ---------------------------------------------------------------------
+function packageEntry(dir) {
+  if (fs.existsSync(path.join(dir, 'index.html'))) return 'index.html';
+  const top = fs.readdirSync(dir, { withFileTypes: true });
+  if (top.length === 1 && top[0].isDirectory() && fs.existsSync(path.join(dir, top[0].name, 'index.html'))) {
+    return `${top[0].name}/index.html`;
+  }
+  return '';
+}
+
+async function unpackZip(zipPath, zipMeta, resourceUrl) {
+  if (!UNZIP || path.extname(zipPath).toLowerCase() !== '.zip') return;
+  const rid = zipMeta.id;
+  const label = path.relative(OUTPUT_DIR, zipPath);
+  const wanted = zipPath.slice(0, -'.zip'.length);
+
+  // A re-downloaded ZIP replaces what the previous copy unpacked.
+  if (readJson(`${wanted}.meta.json`).extractedFrom === path.basename(zipPath)) {
+    archiveVersion({ path: path.relative(OUTPUT_DIR, wanted), savedAt: readJson(`${wanted}.meta.json`).extractedAt });
+  }
+  const destDir = uniqueDir(wanted);
+
+  let result;
+  try {
+    result = await extractZip(zipPath, destDir, { maxBytes: UNZIP_MAX_BYTES, maxEntries: UNZIP_MAX_ENTRIES });
+  } catch (err) {
+    if (!(err instanceof UnzipError)) throw err;
+    console.warn(`⚠️ [${rid}] Not extracting ${label}: ${err.message}`);
+    reportOutput(resourceUrl, { path: zipPath, status: 'skipped', reason: err.reason, detail: err.message });
+    return;
+  }
+
+  const entry = packageEntry(destDir);
+  const { id, url, title, section, sectionIndex } = zipMeta;
+  const destMeta = {
+    id, url, title, section, sectionIndex,
+    type: entry ? 'package' : 'zip-contents',
+    ...(entry ? { entry } : {}),
+    extractedFrom: path.basename(zipPath),
+    extractedAt: new Date().toISOString(),
+    bytes: result.bytes,
+    contents: result.entries,
+  };
+  fs.writeFileSync(`${destDir}.meta.json`, JSON.stringify(destMeta, null, 2));
+  fs.writeFileSync(`${zipPath}.meta.json`, JSON.stringify({ ...zipMeta, extractedTo: path.basename(destDir) }, null, 2));
+
+  summary.extracted += 1;
+  reportOutput(resourceUrl, { path: destDir, status: 'extracted', files: result.entries.length });
+  console.log(`📦 Extracted: ${path.relative(OUTPUT_DIR, destDir)} (${result.entries.length} file(s)${entry ? ', HTML package' : ''})`);
+  await runAfterSave(destDir, destMeta, resourceUrl);
+}
+
+// ---------------------------------------------------------------------
+// Block 7.5: Deduplication (DEDUP_STORE)
+// Why: the same handbook or media file turns up in many activities and
+//       courses. Each saved file is handed to the content-addressed store
+//       (lib/dedup-store.js); when its SHA-256 is already there, the file
+//       becomes a hardlink to the stored copy. Point every course at the
+//       same store to share copies across them.
+// The download still happens: the hash is only known afterwards.
+// ---------------------------------------------------------------------
+function dedupe(file, sha256, resourceUrl) {
+  if (!DEDUP_STORE || !sha256) return;
+  let res;
+  try {
+    res = addToStore(DEDUP_STORE, file, sha256);
+  } catch (e) {
+    console.warn(`⚠️ Dedup store: ${path.relative(OUTPUT_DIR, file)}: ${e.message}`);
+    return;
+  }
+  if (res.result === 'copied') logDebug(`Dedup: could not hardlink ${file}; kept as a copy`);
+  if (res.result !== 'linked' || !res.saved) return;
+  summary.deduplicated += 1;
+  summary.dedupSavedBytes += res.saved;
+  const output = reportEntry(resourceUrl).outputs.find((o) => o.path === path.relative(OUTPUT_DIR, file));
+  if (output) output.dedup = 'linked';
+  logDebug(`Dedup: ${path.relative(OUTPUT_DIR, file)} → ${sha256.slice(0, 12)} (${res.saved} bytes saved)`);
+}
+
+// ---------------------------------------------------------------------
+// Block 8: HTML Package Detection + Mirroring
+// Why: index.html is only an entry point; dynamic assets must be harvested.
+// ---------------------------------------------------------------------
+function isHtmlPackageIndex(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    return /\/pluginfile\.php\/\d+\/mod_resource\/content\/\d+\/index\.html$/i.test(u.pathname);
+  } catch {
+    return false;
+  }
+}
+
+function baseDirOf(urlStr) {
+  const u = new URL(urlStr);
+  const idx = u.pathname.lastIndexOf('/');
+  return `${u.origin}${u.pathname.slice(0, idx + 1)}`;
+}
+
+function normalizeRelPath(ref) {
+  if (!ref) return null;
+  const r = String(ref).trim();
+  if (!r || r.startsWith('data:') || r.startsWith('blob:') || r.startsWith('javascript:')) return null;
+  return r;
+}
+
+function shouldIgnoreRef(ref) {
+  const r = ref.toLowerCase();
+  return r.startsWith('#') || r.startsWith('mailto:') || r.startsWith('tel:');
+}
+
+function extractRefsFromText(text) {
+  const out = new Set();
+  for (const m of text.matchAll(/(?:src|href)\s*=\s*["']([^"']+)["']/gi)) out.add(m[1]);
+  for (const m of text.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/gi)) out.add(m[1]);
+  for (const m of text.matchAll(/@import\s+(?:url\()?['"]([^'"]+)['"]\)?/gi)) out.add(m[1]);
+  return Array.from(out);
+}
+
+function localPathForRef(pkgDir, ref) {
+  const clean = ref.split('#')[0].split('?')[0].replace(/\\/g, '/');
+  const safe = clean.replace(/^\/+/, '');
+  if (!safe) return null;
+  return path.join(pkgDir, safe);
+}
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function uniqueDir(dir) {
+  if (!fs.existsSync(dir)) return dir;
+  for (let i = 1; i < 10000; i++) {
+    const candidate = `${dir}-${i}`;
+    if (!fs.existsSync(candidate)) return candidate;
+  }
+  return `${dir}-${Date.now()}`;
+}
+
+// ---------------------------------------------------------------------
+// Block 8.1: Offline URL rewriting
+// What: Point every captured asset reference in the mirrored text files at
+//       its local copy, and report the references that stay remote.
+// Why: Absolute pluginfile URLs and origin-relative paths keep the package
+//      tied to Moodle; it must keep working from file:// after the session ends.
+// ---------------------------------------------------------------------
+const REWRITE_EXTS = new Set(['.html', '.htm', '.xhtml', '.css', '.js', '.mjs', '.json', '.svg', '.xml']);
+const REWRITE_REPORT = '_unresolved-refs.json';
+
+function urlKey(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    u.hash = '';
+    return u.toString();
+  } catch {
+    return null;
+  }
+}
+
+function listRewriteTargets(dir) {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...listRewriteTargets(full));
+    else if (REWRITE_EXTS.has(path.extname(entry.name).toLowerCase())) out.push(full);
+  }
+  return out;
+}
+
+function rewritePackageUrls(packageRoot, captured) {
+  // captured: Map<absolute url (no hash), local path>
+  // Cache-busting queries (?v=3) differ between references to the same
+  // asset, so fall back to a query-less match.
+  const byPath = new Map();
+  const byBareUrl = new Map();
+  for (const [url, local] of captured) {
+    if (!byPath.has(local)) byPath.set(local, url);
+    const bare = url.split('?')[0];
+    if (!byBareUrl.has(bare)) byBareUrl.set(bare, local);
+  }
+
+  const lookup = (absolute) => {
+    const key = urlKey(absolute);
+    if (!key) return null;
+    return captured.get(key) || byBareUrl.get(key.split('?')[0]) || null;
+  };
+
+  const unresolved = new Map();
+  let rewrittenRefs = 0;
+  let rewrittenFiles = 0;
+
+  for (const file of listRewriteTargets(packageRoot)) {
+    const fileUrl = byPath.get(file);
+    if (!fileUrl) continue;
+
+    const relFile = path.relative(packageRoot, file).split(path.sep).join('/');
+    const original = fs.readFileSync(file, 'utf8');
+
+    const localise = (ref, { report = true } = {}) => {
+      const normalized = normalizeRelPath(ref);
+      if (!normalized || shouldIgnoreRef(normalized)) return null;
+      let absolute;
+      try {
+        absolute = new URL(normalized, fileUrl);
+      } catch {
+        return null;
+      }
+      if (absolute.protocol !== 'http:' && absolute.protocol !== 'https:') return null;
 
-        try {
-          buffer = await resp.buffer();
-        } catch (e) {
-          logDebug(`Harvest buffer error (${url}): ${e.message}`);
+      const local = lookup(absolute.toString());
+      if (!local) {
+        if (report) {
+          const key = `${relFile} ${normalized}`;
+          if (!unresolved.has(key)) unresolved.set(key, { file: relFile, ref: normalized, url: absolute.toString() });
         }
+        return null;
+      }
+
+      let rel = path.relative(path.dirname(file), local).split(path.sep).join('/');
+      if (!rel) rel = path.basename(local);
+      const next = encodeURI(rel) + absolute.hash;
+      return next === normalized ? null : next;
+    };
+
+    const swap = (ref, opts) => {
+      const next = localise(ref, opts);
+      if (next === null) return ref;
+      rewrittenRefs += 1;
+      return next;
+    };
+
+    let text = original;
+    text = text.replace(/((?:src|href|poster)\s*=\s*["'])([^"']+)(["'])/gi, (m, a, ref, b) => a + swap(ref) + b);
+    text = text.replace(/(url\(\s*['"]?)([^'")]+)(['"]?\s*\))/gi, (m, a, ref, b) => a + swap(ref) + b);
+    text = text.replace(/(@import\s+['"])([^'"]+)(['"])/gi, (m, a, ref, b) => a + swap(ref) + b);
+    // Absolute URLs left in scripts/JSON, plain or with escaped slashes.
+    text = text.replace(/https?:\/\/[^\s"'`()<>\\]+/g, (ref) => swap(ref));
+    text = text.replace(/https?:\\\/\\\/[^\s"'`()<>]+/g, (ref) => {
+      const next = localise(ref.replace(/\\\//g, '/'));
+      if (next === null) return ref;
+      rewrittenRefs += 1;
+      return next.replace(/\//g, '\\/');
+    });
+    // Origin-relative string literals ("/pluginfile.php/..."): only rewrite
+    // what was captured; most other slash-prefixed strings are not URLs.
+    text = text.replace(/(["'])(\/(?!\/)[^"'\s]+)\1/g, (m, q, ref) => q + swap(ref, { report: false }) + q);
+
+    if (text !== original) {
+      fs.writeFileSync(file, text);
+      rewrittenFiles += 1;
+    }
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    rewrittenFiles,
+    rewrittenRefs,
+    unresolved: Array.from(unresolved.values()),
+  };
+  fs.writeFileSync(path.join(packageRoot, REWRITE_REPORT), JSON.stringify(report, null, 2));
+  return report;
+}
+
+// ---------------------------------------------------------------------
+// Block 8.2: Scripted interaction harvesting
+// What: Drive a loaded package — play media, open tabs/accordions, scroll
+//       lazy content, press "next" — until the network goes quiet.
+// Why: Slide decks only request later slides' audio/images when you reach
+//      them; a passive timer never sees those requests.
+// ---------------------------------------------------------------------
+const HARVEST_REPORT = '_harvest-report.json';
+const HARVEST_QUIET_ROUNDS = 3;
+
+function trackNetwork(target) {
+  const net = { requests: 0, lastActivity: Date.now() };
+  const touch = () => { net.lastActivity = Date.now(); };
+  target.on('request', () => { net.requests += 1; touch(); });
+  target.on('requestfinished', touch);
+  target.on('requestfailed', touch);
+  return net;
+}
+
+// Long-lived media streams never "finish", so idle means no request has
+// started or completed for idleMs — not zero requests in flight.
+async function waitForNetworkIdle(net, idleMs, deadline) {
+  while (Date.now() < deadline) {
+    if (Date.now() - net.lastActivity >= idleMs) return true;
+    await sleep(250);
+  }
+  return false;
+}
+
+// Runs inside each frame (serialised by Puppeteer). Returns the actions taken.
+function harvestInteract() {
+  const done = window.__harvestDone || (window.__harvestDone = new WeakSet());
+  const actions = [];
+
+  const labelOf = (el) => String(el.getAttribute('aria-label') || el.getAttribute('title') || el.textContent || el.id || el.tagName)
+    .replace(/\s+/g, ' ').trim().slice(0, 80);
+  const visible = (el) => {
+    const r = el.getBoundingClientRect();
+    const cs = getComputedStyle(el);
+    return r.width > 0 && r.height > 0 && cs.visibility !== 'hidden' && cs.display !== 'none';
+  };
+  const enabled = (el) => !el.disabled && el.getAttribute('aria-disabled') !== 'true' && !/\bdisabled\b/i.test(el.className || '');
+  const clickable = (el) => el.matches('button, a, input, summary, [role="button"], [role="tab"], [onclick], [tabindex]') ||
+    getComputedStyle(el).cursor === 'pointer';
+  // Links to other pages would navigate away from the package.
+  const leavesPage = (el) => {
+    if (el.tagName !== 'A' || !el.getAttribute('href')) return false;
+    const href = el.getAttribute('href');
+    if (href.startsWith('#') || href.startsWith('javascript:')) return false;
+    try {
+      return new URL(el.href).pathname !== location.pathname;
+    } catch {
+      return true;
+    }
+  };
+  const usable = (el) => visible(el) && enabled(el) && clickable(el) && !leavesPage(el);
+
+  for (const media of document.querySelectorAll('audio, video')) {
+    if (done.has(media)) continue;
+    done.add(media);
+    media.muted = true;
+    media.preload = 'auto';
+    try {
+      const p = media.play();
+      if (p && p.catch) p.catch(() => {});
+    } catch {
+      // autoplay refused; the request for the source is usually made anyway
+    }
+    actions.push({ kind: 'media', label: media.currentSrc || media.src || labelOf(media) });
+  }
+
+  const scrollers = [document.scrollingElement];
+  for (const el of document.querySelectorAll('div, section, main, article, ul')) {
+    if (scrollers.length >= 50) break;
+    const oy = getComputedStyle(el).overflowY;
+    if ((oy === 'auto' || oy === 'scroll') && el.scrollHeight > el.clientHeight + 20) scrollers.push(el);
+  }
+  for (const el of scrollers) {
+    if (!el) continue;
+    const before = el.scrollTop;
+    el.scrollTop = el.scrollHeight;
+    if (el.scrollTop !== before) {
+      actions.push({ kind: 'scroll', label: el === document.scrollingElement ? 'document' : labelOf(el).slice(0, 40) });
+    }
+  }
+
+  const ONE_SHOT = [
+    '[role="tab"]', '[aria-expanded="false"]', 'details > summary',
+    '[aria-label*="play" i]', '[title*="play" i]', '[class*="play-button" i]', 'button[class*="play" i]',
+  ].join(', ');
+  for (const el of document.querySelectorAll(ONE_SHOT)) {
+    if (done.has(el) || !usable(el)) continue;
+    done.add(el);
+    el.click();
+    const kind = /play/i.test(`${el.getAttribute('aria-label')} ${el.title} ${el.className}`) ? 'play' : 'toggle';
+    actions.push({ kind, label: labelOf(el) });
+  }
+
+  // "Next" is repeatable: click the first usable one per step. Labels need
+  // "next" as a word; id/class/data-action names need it as their first or
+  // last word (btn-next, nextButton, swiper-button-next), so context,
+  // nextcloud and has-next-sibling don't count.
+  const NEXT_TEXT = /^(next|continue|next slide|next page|›|»|→|>)$/i;
+  const NEXT_LABEL = /\bnext\b/i;
+  const isNextName = (name) => {
+    const words = String(name || '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+    if (words.length > 1 && /^(btn|button|control|link|arrow|icon)$/.test(words[words.length - 1])) words.pop();
+    return words[0] === 'next' || words[words.length - 1] === 'next';
+  };
+  const namedNext = (el) => NEXT_LABEL.test(`${el.getAttribute('aria-label') || ''} ${el.getAttribute('title') || ''}`) ||
+    isNextName(el.id) || isNextName(el.getAttribute('data-action')) ||
+    (el.getAttribute('class') || '').split(/\s+/).some(isNextName);
+  const nextControls = [
+    ...Array.from(document.querySelectorAll('[aria-label*="next" i], [title*="next" i], [id*="next" i], [class*="next" i], [data-action*="next" i]')).filter(namedNext),
+    ...Array.from(document.querySelectorAll('button, a, [role="button"]')).filter((el) => NEXT_TEXT.test((el.textContent || '').trim())),
+  ];
+  const next = nextControls.find(usable);
+  if (next) {
+    next.click();
+    actions.push({ kind: 'next', label: labelOf(next) });
+  }
+
+  return actions;
+}
+
+async function interactiveHarvest(harvestPage, net) {
+  const deadline = Date.now() + HARVEST_MAX_SECONDS * 1000;
+  const controls = new Map();
+  let steps = 0;
+  let quietRounds = 0;
+  let stoppedBy = 'timeout';
+
+  await waitForNetworkIdle(net, HARVEST_IDLE_MS, deadline);
+
+  while (Date.now() < deadline) {
+    if (steps >= HARVEST_MAX_STEPS) {
+      stoppedBy = 'max-steps';
+      break;
+    }
+    const before = net.requests;
+    let acted = 0;
+    for (const frame of harvestPage.frames()) {
+      const actions = await frame.evaluate(harvestInteract).catch(() => []);
+      for (const a of actions) {
+        const key = `${frame.url()} ${a.kind} ${a.label}`;
+        const entry = controls.get(key) || { kind: a.kind, label: a.label, frame: frame.url(), count: 0 };
+        entry.count += 1;
+        controls.set(key, entry);
+      }
+      acted += actions.length;
+    }
+    steps += 1;
+
+    if (!acted) {
+      stoppedBy = 'no-controls';
+      break;
+    }
+    await waitForNetworkIdle(net, HARVEST_IDLE_MS, deadline);
+    // Text-only slides load nothing, so one quiet step is not the end.
+    quietRounds = net.requests === before ? quietRounds + 1 : 0;
+    if (quietRounds >= HARVEST_QUIET_ROUNDS) {
+      stoppedBy = 'idle';
+      break;
+    }
+  }
+
+  return { steps, stoppedBy, requests: net.requests, controls: Array.from(controls.values()) };
+}
+
+async function mirrorHtmlPackage(browser, page, rid, entryUrl, entryBuf, packageDir) {
+  const baseDir = baseDirOf(entryUrl);
+  const baseOrigin = new URL(entryUrl).origin;
+  const packageRoot = uniqueDir(packageDir);
+  ensureDir(packageRoot);
+
+  const indexPath = path.join(packageRoot, 'index.html');
+  fs.writeFileSync(indexPath, entryBuf);
+  logDebug(`Saved HTML package entry: ${indexPath}`);
+
+  const visitedUrls = new Set();
+  const savedFiles = new Set();
+  const captured = new Map([[urlKey(entryUrl), indexPath]]);
+  const queue = [];
+
+  const seedRefs = extractRefsFromText(entryBuf.toString('utf8'));
+  for (const ref of seedRefs) {
+    const normalized = normalizeRelPath(ref);
+    if (!normalized || shouldIgnoreRef(normalized)) continue;
+    queue.push({ ref: normalized, depth: 1 });
+  }
+
+  while (queue.length && savedFiles.size < MIRROR_MAX_FILES) {
+    const { ref, depth } = queue.shift();
+    if (depth > MIRROR_MAX_DEPTH) continue;
+
+    let absolute;
+    try {
+      absolute = new URL(ref, entryUrl).toString();
+    } catch {
+      continue;
+    }
+
+    if (!absolute.startsWith(baseDir)) {
+      logDebug(`Skipping external ref: ${absolute}`);
+      continue;
+    }
+
+    if (visitedUrls.has(absolute)) continue;
+    visitedUrls.add(absolute);
+
+    const localRef = absolute.slice(baseDir.length);
+    const localPath = localPathForRef(packageRoot, localRef);
+    if (!localPath) continue;
+    ensureDir(path.dirname(localPath));
+
+    const result = await withRetries(() => streamDownload(page, absolute, localPath)).catch((e) => {
+      logDebug(`Mirror fetch failed (${absolute}): ${e.message}`);
+      return null;
+    });
+    if (!result || !result.ok) continue;
+    savedFiles.add(localPath);
+    captured.set(urlKey(absolute), localPath);
+
+    const contentType = (result.ct || '').toLowerCase();
+    const isText = contentType.includes('text/') || contentType.includes('javascript') || contentType.includes('json');
+    if (isText && depth < MIRROR_MAX_DEPTH) {
+      const refs = extractRefsFromText(fs.readFileSync(localPath, 'utf8'));
+      for (const child of refs) {
+        const normalized = normalizeRelPath(child);
+        if (!normalized || shouldIgnoreRef(normalized)) continue;
+        queue.push({ ref: normalized, depth: depth + 1 });
+      }
+    }
+  }
+
+  if (savedFiles.size >= MIRROR_MAX_FILES) {
+    logDebug(`Reached MIRROR_MAX_FILES limit (${MIRROR_MAX_FILES}) for ${rid}`);
+  }
+
+  let harvestedCount = 0;
+  const harvestLimit = Math.max(0, MIRROR_MAX_FILES - savedFiles.size);
+  const harvestedUrls = new Set();
+
+  const localPathForAsset = (url) => {
+    if (url.startsWith(baseDir)) {
+      const rel = url.slice(baseDir.length);
+      return localPathForRef(packageRoot, rel);
+    }
+    if (url.startsWith(baseOrigin)) {
+      const rel = url.slice(baseOrigin.length).replace(/^\//, '');
+      if (!rel) return null;
+      return path.join(packageRoot, '_external', rel);
+    }
+    return null;
+  };
+
+  // Streamed media can still be writing when the page closes; the rewrite
+  // pass must wait for it.
+  const pendingHarvests = new Set();
+
+  const attachHarvester = (harvestTarget) => {
+    const harvestResponse = async (resp) => {
+      try {
+        if (harvestedCount >= harvestLimit) return;
+        const url = resp.url();
+        if (!url.startsWith(baseOrigin)) return;
+        if (harvestedUrls.has(url)) return;
+        harvestedUrls.add(url);
+
+        const localPath = localPathForAsset(url);
+        if (!localPath) return;
+
+        let buffer = null;
+        const status = resp.status();
+        const contentType = (resp.headers()['content-type'] || '').toLowerCase();
+        const isMedia = contentType.startsWith('audio/') || contentType.startsWith('video/');
+
+        // Media is usually range-requested (206) and can be large: stream
+        // the full file to disk instead of buffering the partial response.
+        if (status !== 206 && !isMedia) {
+          try {
+            buffer = await resp.buffer();
+          } catch (e) {
+            logDebug(`Harvest buffer error (${url}): ${e.message}`);
+          }
+        }
+
+        if (!buffer || !buffer.length) {
+          const full = await withRetries(() => streamDownload(harvestTarget, url, localPath)).catch(() => null);
+          if (!full || !full.ok) return;
+        } else {
+          ensureDir(path.dirname(localPath));
+          fs.writeFileSync(localPath, buffer);
+        }
+        captured.set(urlKey(url), localPath);
+        harvestedCount += 1;
+        if (isMedia) {
+          logDebug(`Harvested media asset: ${url}`);
+        }
+      } catch (e) {
+        logDebug(`Harvest response error: ${e.message}`);
+      }
+    };
+
+    harvestTarget.on('response', (resp) => {
+      const job = harvestResponse(resp);
+      pendingHarvests.add(job);
+      job.finally(() => pendingHarvests.delete(job));
+    });
+
+    harvestTarget.on('popup', async (popup) => {
+      attachHarvester(popup);
+      try {
+        await popup.waitForLoadState?.('domcontentloaded');
+      } catch (e) {
+        logDebug(`Popup load wait failed: ${e.message}`);
+      }
+    });
+  };
+
+  // Closed on every path: batch.js shares the browser across courses.
+  const harvestPage = await browser.newPage();
+  try {
+    attachHarvester(harvestPage);
+    const net = trackNetwork(harvestPage);
+
+    await navigate(harvestPage, entryUrl, 'domcontentloaded');
+    if (HARVEST_MODE === 'interact') {
+      const report = await interactiveHarvest(harvestPage, net);
+      await Promise.allSettled(Array.from(pendingHarvests));
+      fs.writeFileSync(path.join(packageRoot, HARVEST_REPORT), JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        harvested: harvestedCount,
+        ...report,
+      }, null, 2));
+      console.log(`🕹️ [${rid}] Exercised ${report.controls.length} control(s) in ${report.steps} step(s), ${harvestedCount} asset(s) harvested (stopped: ${report.stoppedBy})`);
+    } else {
+      await sleep(HARVEST_SECONDS * 1000);
+    }
+  } finally {
+    await harvestPage.close().catch(() => {});
+  }
+  await Promise.allSettled(Array.from(pendingHarvests));
+  if (harvestedCount >= harvestLimit) {
+    logDebug(`Harvest stopped at MIRROR_MAX_FILES limit (${MIRROR_MAX_FILES}) for ${rid}`);
+  }
+
+  if (REWRITE_URLS) {
+    const report = rewritePackageUrls(packageRoot, captured);
+    logDebug(`Rewrote ${report.rewrittenRefs} ref(s) in ${report.rewrittenFiles} file(s) for ${rid}`);
+    if (report.unresolved.length) {
+      console.log(`⚠️ [${rid}] ${report.unresolved.length} reference(s) not localised (see ${REWRITE_REPORT})`);
+    }
+  }
+
+  summary.savedPackages += 1;
+  return packageRoot;
+}
+
+// ---------------------------------------------------------------------
+// Block 8.3: Video streams (HLS + SharePoint/Stream)
+// What: Join an HLS playlist's segments (chosen variant, AES-128 decrypted)
+//       into one media file; resolve SharePoint/Stream players to their
+//       direct download, falling back to the HLS manifest they load.
+// Why: the playlist or the player HTML on its own is not the video.
+// ---------------------------------------------------------------------
+function isHlsUrl(urlStr) {
+  return /\.m3u8(?:$|[?#])/i.test(urlStr);
+}
+
+function isStreamPage(urlStr) {
+  return /\/stream\.aspx(?:$|[?#])/i.test(urlStr) || /sharepoint\.com\/:v:\//i.test(urlStr);
+}
+
+function parseAttributeList(str) {
+  const attrs = {};
+  for (const m of str.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) attrs[m[1]] = m[2].replace(/^"|"$/g, '');
+  return attrs;
+}
+
+// "<length>[@<offset>]" → inclusive [start, end]; offset defaults to the
+// end of the previous sub-range of the same resource.
+function parseByteRange(spec, nextOffset) {
+  if (!spec) return null;
+  const [len, off] = spec.split('@');
+  const start = off !== undefined ? Number(off) : nextOffset;
+  return [start, start + Number(len) - 1];
+}
+
+function parseM3u8(text, baseUrl) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') throw new Error('Not an HLS playlist');
+  const abs = (u) => new URL(u, baseUrl).toString();
+
+  const out = { variants: [], renditions: [], segments: [], mediaSequence: 0, endList: false };
+  let pending = null;
+  let key = null;
+  let map = null;
+  let byteRange = null;
+  let nextOffset = 0;
+
+  for (const line of lines) {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      pending = { type: 'variant', attrs: parseAttributeList(line.slice(18)) };
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      const a = parseAttributeList(line.slice(13));
+      if (a.URI) a.URI = abs(a.URI);
+      out.renditions.push(a);
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      out.mediaSequence = Number(line.slice(22)) || 0;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const a = parseAttributeList(line.slice(11));
+      key = a.METHOD === 'NONE' ? null : { method: a.METHOD, uri: a.URI ? abs(a.URI) : null, iv: a.IV || null };
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const a = parseAttributeList(line.slice(11));
+      map = { uri: abs(a.URI), range: parseByteRange(a.BYTERANGE, 0) };
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      byteRange = line.slice(17);
+    } else if (line.startsWith('#EXTINF:')) {
+      pending = { type: 'segment', duration: parseFloat(line.slice(8)) || 0 };
+    } else if (line === '#EXT-X-ENDLIST') {
+      out.endList = true;
+    } else if (!line.startsWith('#') && pending) {
+      if (pending.type === 'variant') {
+        const [width, height] = (pending.attrs.RESOLUTION || '').split('x').map(Number);
+        out.variants.push({
+          uri: abs(line),
+          bandwidth: Number(pending.attrs.BANDWIDTH) || 0,
+          width: width || 0,
+          height: height || 0,
+          codecs: pending.attrs.CODECS || '',
+          audio: pending.attrs.AUDIO || '',
+        });
+      } else {
+        const seg = { uri: abs(line), duration: pending.duration, seq: out.mediaSequence + out.segments.length, key, map };
+        if (byteRange) {
+          seg.range = parseByteRange(byteRange, nextOffset);
+          nextOffset = seg.range[1] + 1;
+          byteRange = null;
+        }
+        out.segments.push(seg);
+      }
+      pending = null;
+    }
+  }
+  return out;
+}
+
+// HLS_QUALITY: best | worst | <max height> (highest variant not above it).
+function pickVariant(variants, quality) {
+  const sorted = [...variants].sort((a, b) => a.height - b.height || a.bandwidth - b.bandwidth);
+  if (quality === 'worst') return sorted[0];
+  const cap = parseInt(quality, 10);
+  if (Number.isFinite(cap)) {
+    const fitting = sorted.filter((v) => v.height && v.height <= cap);
+    return fitting.length ? fitting[fitting.length - 1] : sorted[0];
+  }
+  return sorted[sorted.length - 1];
+}
+
+async function fetchBuffer(page, url, range = null) {
+  const headers = range ? { Range: `bytes=${range[0]}-${range[1]}` } : {};
+  const { resp, finalUrl } = await sessionFetch(page, url, { headers, signal: AbortSignal.timeout(FETCH_IDLE_TIMEOUT_MS) });
+  if (!resp.ok) {
+    if (resp.body) await resp.body.cancel().catch(() => {});
+    throw new Error(`HTTP ${resp.status} for ${url}`);
+  }
+  return { buf: Buffer.from(await resp.arrayBuffer()), info: responseInfo(resp), finalUrl };
+}
+
+/**
+ * Fetch a playlist and settle what to download: the media playlist of the
+ * chosen variant, its segments, the separate audio rendition (if any) and
+ * the container extension. `etag` is the server's or a hash of the media
+ * playlist, so unchanged videos are recognised without fetching segments.
+ */
+async function resolveHls(page, playlistUrl) {
+  const top = await fetchBuffer(page, playlistUrl);
+  let playlist = parseM3u8(top.buf.toString('utf8'), top.finalUrl);
+  let mediaText = top.buf;
+  let mediaUrl = top.finalUrl;
+  let variant = null;
+  let audioUrl = null;
+
+  if (playlist.variants.length) {
+    variant = pickVariant(playlist.variants, HLS_QUALITY);
+    const audio = playlist.renditions.filter((r) => r.TYPE === 'AUDIO' && r['GROUP-ID'] === variant.audio && r.URI);
+    if (audio.length) audioUrl = (audio.find((r) => r.DEFAULT === 'YES') || audio[0]).URI;
+    const media = await fetchBuffer(page, variant.uri);
+    playlist = parseM3u8(media.buf.toString('utf8'), media.finalUrl);
+    mediaText = media.buf;
+    mediaUrl = media.finalUrl;
+  }
+
+  if (!playlist.segments.length) throw new Error('HLS playlist has no segments');
+  const unsupported = playlist.segments.find((seg) => seg.key && seg.key.method !== 'AES-128');
+  if (unsupported) throw new Error(`Unsupported HLS encryption: ${unsupported.key.method}`);
+  if (!playlist.endList) console.warn(`⚠️ Live HLS playlist; saving the ${playlist.segments.length} segment(s) listed now`);
+
+  const fmp4 = playlist.segments.some((seg) => seg.map) || /\.(m4s|mp4)(?:$|[?#])/i.test(playlist.segments[0].uri);
+  return {
+    playlistUrl,
+    mediaUrl,
+    variant,
+    audioUrl,
+    playlist,
+    ext: fmp4 ? '.mp4' : '.ts',
+    etag: top.info.etag || `hls-${crypto.createHash('sha256').update(mediaText).digest('hex').slice(0, 32)}`,
+    lastModified: top.info.lastModified,
+  };
+}
+
+function segmentIv(seg) {
+  if (seg.key.iv) return Buffer.from(seg.key.iv.replace(/^0x/i, '').padStart(32, '0'), 'hex');
+  // No IV attribute: the media sequence number, big-endian, is the IV.
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(seg.seq), 8);
+  return iv;
+}
+
+/**
+ * Download plan's segments into "<destPath>.part" in order, decrypting
+ * AES-128 segments and writing each EXT-X-MAP init section before the
+ * first segment that uses it. Progress is checkpointed per segment, so a
+ * retry (or the next run) continues where the last one stopped.
+ * Resolves like streamDownload().
+ */
+async function downloadHls(page, plan, destPath) {
+  const partPath = `${destPath}.part`;
+  const statePath = `${partPath}.json`;
+  const { segments } = plan.playlist;
+  ensureDir(path.dirname(destPath));
+
+  let done = 0;
+  let bytes = 0;
+  if (fs.existsSync(partPath) && fs.existsSync(statePath)) {
+    try {
+      const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+      if (state.playlist === plan.mediaUrl && state.segments === segments.length && fs.statSync(partPath).size >= state.bytes) {
+        done = state.done;
+        bytes = state.bytes;
+      }
+    } catch {
+      done = 0;
+    }
+  }
+  if (done) {
+    fs.truncateSync(partPath, bytes);
+    logDebug(`Resuming HLS ${plan.mediaUrl} at segment ${done + 1}/${segments.length}`);
+  } else {
+    bytes = 0;
+    fs.writeFileSync(partPath, '');
+  }
+
+  const ct = plan.ext === '.mp4' ? 'video/mp4' : 'video/mp2t';
+  const keys = new Map();
+  let lastMap = done ? segments[done - 1].map : null;
+
+  for (let i = done; i < segments.length; i++) {
+    const seg = segments[i];
+    const chunks = [];
+    if (seg.map && seg.map !== lastMap) {
+      chunks.push((await fetchBuffer(page, seg.map.uri, seg.map.range)).buf);
+      lastMap = seg.map;
+    }
+
+    let data = (await fetchBuffer(page, seg.uri, seg.range)).buf;
+    if (seg.key) {
+      if (!keys.has(seg.key.uri)) {
+        const key = (await fetchBuffer(page, seg.key.uri)).buf;
+        if (key.length !== 16) throw new Error(`Bad AES-128 key (${key.length} bytes) from ${seg.key.uri}`);
+        keys.set(seg.key.uri, key);
+      }
+      const decipher = crypto.createDecipheriv('aes-128-cbc', keys.get(seg.key.uri), segmentIv(seg));
+      data = Buffer.concat([decipher.update(data), decipher.final()]);
+    }
+    chunks.push(data);
+
+    for (const chunk of chunks) {
+      fs.appendFileSync(partPath, chunk);
+      bytes += chunk.length;
+    }
+    if (bytes > MAX_BYTES) {
+      fs.rmSync(partPath, { force: true });
+      fs.rmSync(statePath, { force: true });
+      return { ok: false, tooLarge: true, status: 200, ct, finalUrl: plan.mediaUrl };
+    }
+    fs.writeFileSync(statePath, JSON.stringify({ playlist: plan.mediaUrl, segments: segments.length, done: i + 1, bytes }));
+    logDebug(`HLS segment ${i + 1}/${segments.length} (${bytes} bytes)`);
+  }
+
+  fs.renameSync(partPath, destPath);
+  fs.rmSync(statePath, { force: true });
+
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(destPath), new Transform({
+    transform(chunk, _enc, cb) { hash.update(chunk); cb(); },
+  }));
+  const fd = fs.openSync(destPath, 'r');
+  const prefix = Buffer.alloc(Math.min(512, bytes));
+  fs.readSync(fd, prefix, 0, prefix.length, 0);
+  fs.closeSync(fd);
+
+  return {
+    ok: true, status: 200, ct, cl: String(bytes), etag: plan.etag, lastModified: plan.lastModified,
+    finalUrl: plan.mediaUrl, bytes, sha256: hash.digest('hex'), prefix, path: destPath,
+  };
+}
+
+/**
+ * Open a SharePoint/Stream player and find something downloadable:
+ * the page's own downloadUrl, the library's download.aspx for the file,
+ * or — when downloads are blocked — the HLS manifest the player requests.
+ * Returns { direct, name } | { hls } | null.
+ */
+async function resolveStreamPage(page, streamUrl) {
+  const manifests = [];
+  const onRequest = (req) => {
+    const u = req.url();
+    if (isHlsUrl(u) || /[?&]format=hls\b/i.test(u)) manifests.push(u);
+  };
+  page.on('request', onRequest);
+  try {
+    await navigate(page, streamUrl);
+    await sleep(PAGE_SETTLE_MS);
+  } finally {
+    page.off('request', onRequest);
+  }
+
+  const landed = new URL(page.url());
+  const fileRef = landed.searchParams.get('id') || '';
+  const name = fileRef ? decodeURIComponent(fileRef.split('/').pop()) : '';
+
+  const direct = [];
+  const html = await page.content();
+  const m = /"(?:@content\.|@microsoft\.graph\.)?downloadUrl"\s*:\s*("(?:[^"\\]|\\.)*")/.exec(html);
+  if (m) {
+    try {
+      direct.push(JSON.parse(m[1]));
+    } catch {
+      logDebug('Unparseable downloadUrl on Stream page');
+    }
+  }
+  if (fileRef.startsWith('/')) {
+    const web = landed.pathname.replace(/\/_layouts\/.*$/i, '');
+    direct.push(`${landed.origin}${web}/_layouts/15/download.aspx?SourceUrl=${encodeURIComponent(fileRef)}`);
+  }
+
+  for (const url of direct) {
+    const pf = await withRetries(() => preflight(page, url));
+    // A login or "download blocked" page comes back as HTML.
+    if (pf && pf.ok && !/text\/html/i.test(pf.ct || '')) return { direct: url, name };
+    logDebug(`Stream direct download not usable (${pf?.status ?? '??'} ${pf?.ct || ''}): ${url}`);
+  }
+  if (manifests.length) return { hls: manifests[0] };
+  return null;
+}
+
+async function processVideo(page, resourceUrl, rid, target, videoUrl) {
+  let hlsUrl = videoUrl;
+
+  if (isStreamPage(videoUrl)) {
+    const found = await resolveStreamPage(page, videoUrl);
+    if (!found) {
+      console.warn(`❌ [${rid}] No download or HLS source found on Stream page`);
+      summary.failed += 1;
+      settle(resourceUrl, 'failed', 'stream-unresolved', { chosenUrl: videoUrl });
+      return;
+    }
+    if (found.direct) {
+      const name = sanitizeFilename(found.name || fileNameFromUrl(found.direct, 'video.mp4'));
+      const ext = path.extname(name) || '.mp4';
+      const outName = target.structured ? `${target.stem}${ext}` : `${target.stem}-${name}`;
+      await saveToPath(page, {
+        rid, resourceUrl, fileUrl: found.direct, outPath: path.join(target.dir, sanitizeFilename(outName)), target,
+        requirePdf: false, extraMeta: { type: 'video', source: 'stream', streamUrl: videoUrl, originalFilename: name },
+      });
+      return;
+    }
+    hlsUrl = found.hls;
+  }
+
+  const plan = await withRetries(() => resolveHls(page, hlsUrl));
+  const key = manifestKey(rid, hlsUrl);
+  const prev = manifest.entries[key];
+  if (!FORCE && prev && prev.etag === plan.etag && manifestLocalPath(prev)) {
+    console.log(`⏩ [${rid}] Unchanged: ${prev.path}`);
+    summary.unchanged += 1;
+    reportOutput(resourceUrl, { url: hlsUrl, path: manifestLocalPath(prev), status: 'unchanged', reason: 'not-modified' });
+    return;
+  }
+
+  const baseName = fileNameFromUrl(hlsUrl, 'video').replace(/\.m3u8$/i, '');
+  const stem = target.structured ? target.stem : `${target.stem}-${baseName}`;
+  const hlsMeta = {
+    type: 'video',
+    source: 'hls',
+    playlist: hlsUrl,
+    variant: plan.variant && { width: plan.variant.width, height: plan.variant.height, bandwidth: plan.variant.bandwidth, codecs: plan.variant.codecs },
+    segments: plan.playlist.segments.length,
+    duration: Math.round(plan.playlist.segments.reduce((t, seg) => t + seg.duration, 0)),
+    encrypted: plan.playlist.segments.some((seg) => seg.key),
+  };
+  if (plan.variant) {
+    console.log(`🎞️ [${rid}] HLS variant ${plan.variant.width}x${plan.variant.height} @ ${plan.variant.bandwidth} bps, ${hlsMeta.segments} segment(s)`);
+  }
+
+  const { status } = await saveToPath(page, {
+    rid, resourceUrl, fileUrl: hlsUrl, outPath: path.join(target.dir, sanitizeFilename(`${stem}${plan.ext}`)), target,
+    requirePdf: false, extraMeta: hlsMeta, download: (p, _url, dest) => downloadHls(p, plan, dest),
+  });
+
+  // Separate audio rendition: players mux it live; we keep it alongside.
+  if (plan.audioUrl && (status === 'saved' || status === 'updated')) {
+    const audioPlan = await withRetries(() => resolveHls(page, plan.audioUrl));
+    await saveToPath(page, {
+      rid, resourceUrl, fileUrl: plan.audioUrl, outPath: path.join(target.dir, sanitizeFilename(`${stem}.audio${audioPlan.ext}`)), target,
+      requirePdf: false, extraMeta: { ...hlsMeta, playlist: plan.audioUrl, variant: null, segments: audioPlan.playlist.segments.length },
+      download: (p, _url, dest) => downloadHls(p, audioPlan, dest),
+    });
+  }
+}
+
+// ---------------------------------------------------------------------
+// Block 9: DOM extraction – extractCandidatesFromPage()
+// ---------------------------------------------------------------------
+async function extractCandidatesFromPage(page, resourceUrl, navResponse) {
+  logDebug(`🧪 Extracting candidates for: ${resourceUrl}`);
+
+  await sleep(PAGE_SETTLE_MS);
+
+  const candidates = new Set();
+  const pushCandidate = (value, source) => {
+    if (!value) return;
+    const raw = stripControlChars(value);
+    if (!raw) return;
+    try {
+      const normalized = new URL(raw, resourceUrl).toString();
+      candidates.add(normalized);
+      logDebug(`candidate[${source}]: ${normalized}`);
+    } catch {
+      // ignore invalid URL fragments
+    }
+  };
+
+  // Navigation-level signals: redirects and direct file responses.
+  if (navResponse) {
+    pushCandidate(navResponse.url(), 'nav-response-url');
+    const navHeaders = navResponse.headers ? navResponse.headers() : {};
+    const navCt = String(navHeaders['content-type'] || '').toLowerCase();
+    if (navCt && !navCt.includes('text/html')) {
+      pushCandidate(navResponse.url(), 'nav-non-html-content-type');
+    }
+  }
+
+  pushCandidate(page.url(), 'page-url');
+
+  const domCandidates = await page.evaluate(() => {
+    const out = [];
+    const push = (u) => { if (u) out.push(String(u)); };
+
+    const parseWindowOpen = (onclick) => {
+      if (!onclick) return null;
+      const s = String(onclick);
+
+      let m = s.match(/window\.open\(\s*'([^']+)'/i);
+      if (m && m[1]) return m[1];
+
+      m = s.match(/window\.open\(\s*"([^"]+)"/i);
+      if (m && m[1]) return m[1];
+
+      return null;
+    };
+
+    const parseRedirect = (text) => {
+      if (!text) return null;
+      const s = String(text);
+      let m = s.match(/location\.href\s*=\s*['"]([^'"]+)['"]/i);
+      if (m && m[1]) return m[1];
+      m = s.match(/location\.replace\(\s*['"]([^'"]+)['"]\s*\)/i);
+      if (m && m[1]) return m[1];
+      return null;
+    };
+
+    document.querySelectorAll('a[href]').forEach((a) => {
+      push(a.getAttribute('href') || a.href);
+      const onclick = a.getAttribute('onclick');
+      const w = parseWindowOpen(onclick);
+      if (w) push(w);
+      const r = parseRedirect(onclick);
+      if (r) push(r);
+    });
+
+    document.querySelectorAll('iframe[src], frame[src], embed[src], object[data], source[src]').forEach((el) => {
+      push(el.getAttribute('src') || el.getAttribute('data'));
+    });
+
+    document.querySelectorAll('meta[http-equiv="refresh"][content]').forEach((m) => {
+      const content = m.getAttribute('content') || '';
+      const mm = content.match(/url=(.+)$/i);
+      if (mm && mm[1]) push(mm[1].trim());
+    });
+
+    document.querySelectorAll('script').forEach((sc) => {
+      const txt = sc.textContent || '';
+      const fromRedirect = parseRedirect(txt);
+      if (fromRedirect) push(fromRedirect);
+
+      const pf = txt.match(/https?:\/\/[^"'\s]+pluginfile\.php[^"'\s]*/gi) || [];
+      pf.forEach(push);
+    });
+
+    return out;
+  });
+
+  for (const href of domCandidates) {
+    pushCandidate(href, 'dom');
+  }
+
+  for (const plugin of pluginsFor(plugins, 'extractCandidates', resourceUrl)) {
+    let extra;
+    try {
+      extra = await plugin.extractCandidates({ page, resourceUrl, navResponse, candidates: Array.from(candidates) });
+    } catch (e) {
+      console.warn(`⚠️ Plugin ${plugin.name}: extractCandidates failed for ${resourceUrl}: ${e.message}`);
+      continue;
+    }
+    for (const href of extra || []) pushCandidate(href, `plugin:${plugin.name}`);
+  }
+
+  // Keep Moodle activity links out of final candidates unless nothing else exists.
+  const finalCandidates = Array.from(candidates).filter((u) => {
+    const lower = u.toLowerCase();
+    const isActivityView = ACTIVITY_VIEW_RE.test(lower);
+    return !isActivityView;
+  });
+
+  if (finalCandidates.length) {
+    logDebug(`✅ Found ${finalCandidates.length} resolved candidates`);
+    return finalCandidates;
+  }
+
+  // Fallback: if no resolved file candidates, allow activity links (legacy behaviour).
+  const fallback = Array.from(candidates);
+  logDebug(`⚠️ Using fallback candidates (${fallback.length})`);
+  return fallback;
+}
+
+// ---------------------------------------------------------------------
+// Block 9.1: Live course discovery – discoverCourseActivities()
+// Why: removes the "save course.html + extract-resources.sh" manual step.
+//       Module patterns come from the bash registry (built-ins + plugins)
+//       so both discovery paths always agree on what an activity is.
+// ---------------------------------------------------------------------
+function resolveCourseUrl(courseArg) {
+  const raw = stripControlChars(courseArg);
+  if (/^\d+$/.test(raw)) {
+    if (!BASE_URL) throw new Error('BASE_URL must be set when --course is a numeric id');
+    return `${BASE_URL.replace(/\/+$/, '')}/course/view.php?id=${raw}`;
+  }
+  const u = new URL(raw);
+  if (!/\/course\/view\.php$/i.test(u.pathname) || !u.searchParams.get('id')) {
+    throw new Error(`Not a Moodle course URL: ${raw}`);
+  }
+  return `${u.origin}${u.pathname}?id=${u.searchParams.get('id')}`;
+}
+
+function loadModuleRegistry(baseUrl) {
+  const out = execFileSync('bash', [EXTRACTOR, '--list-modules'], {
+    env: { ...process.env, BASE_URL: baseUrl },
+    encoding: 'utf8',
+  });
+  return out
+    .split('\n')
+    .map((l) => l.split('\t'))
+    .filter((cols) => cols.length >= 3 && cols[0])
+    .map(([name, pattern, isDefault]) => ({ name, pattern, isDefault: isDefault.trim() === '1' }));
+}
+
+function selectModules(registry) {
+  let selected;
+  if (MODULES) {
+    const wanted = MODULES.split(',').map((m) => m.trim()).filter(Boolean);
+    for (const name of wanted) {
+      if (!registry.some((m) => m.name === name)) throw new Error(`Unknown module: ${name}`);
+    }
+    selected = registry.filter((m) => wanted.includes(m.name));
+  } else if (ALL_MODULES) {
+    selected = registry;
+  } else {
+    selected = registry.filter((m) => m.isDefault);
+  }
+  if (!selected.length) throw new Error('No modules selected');
+  return selected.map((m) => ({ ...m, re: new RegExp(m.pattern) }));
+}
+
+async function discoverCourseActivities(page, courseUrl) {
+  const origin = new URL(courseUrl).origin;
+  const modules = selectModules(loadModuleRegistry(origin));
+  console.log(`[INFO] Discovering activities (${modules.map((m) => m.name).join(', ')}) on ${courseUrl}`);
+
+  await navigate(page, courseUrl);
+
+  // Links in the main region come first so section/title info is taken from
+  // the course content rather than the course index drawer or nav blocks.
+  const links = await page.evaluate(() => {
+    const sectionSel = 'li.section, li.course-section, [data-for="section"]';
+    const textOf = (el) => {
+      if (!el) return '';
+      const copy = el.cloneNode(true);
+      copy.querySelectorAll('.accesshide, .sr-only, .visually-hidden').forEach((n) => n.remove());
+      return copy.textContent.replace(/\s+/g, ' ').trim();
+    };
+    const outermost = (el) => {
+      let top = el ? el.closest(sectionSel) : null;
+      while (top && top.parentElement && top.parentElement.closest(sectionSel)) {
+        top = top.parentElement.closest(sectionSel);
+      }
+      return top;
+    };
+    const main = document.querySelector('#region-main, [role="main"]');
+    const sections = Array.from(document.querySelectorAll(sectionSel))
+      .filter((el) => (!main || main.contains(el)) && outermost(el) === el);
+
+    return Array.from(document.querySelectorAll('a[href]'))
+      .map((a) => {
+        const inMain = !!(main && main.contains(a));
+        const section = inMain ? outermost(a) : null;
+        const activity = a.closest('li.activity, [data-for="cmitem"], .activity');
+        return {
+          href: a.href,
+          inMain,
+          sectionIndex: section ? sections.indexOf(section) : -1,
+          section: section ? textOf(section.querySelector('.sectionname, [data-for="section_title"], h3, h2')) : '',
+          title: textOf(activity && activity.querySelector('.instancename')) || textOf(a),
+        };
+      })
+      .sort((x, y) => Number(y.inMain) - Number(x.inMain));
+  });
+
+  const found = [];
+  const seen = new Set();
+  for (const link of links) {
+    let u;
+    try {
+      u = new URL(stripControlChars(link.href), courseUrl);
+    } catch {
+      continue;
+    }
+    if (u.origin !== origin) continue;
+    const rel = `${u.pathname.replace(/^\/+/, '')}${u.search}`;
+    for (const mod of modules) {
+      const m = rel.match(mod.re);
+      if (!m) continue;
+      const canonical = `${origin}/${rel.slice(0, m.index + m[0].length)}`;
+      if (!seen.has(canonical)) {
+        seen.add(canonical);
+        found.push({
+          url: canonical,
+          module: mod.name,
+          sectionIndex: link.sectionIndex,
+          section: link.section,
+          title: link.title,
+        });
+      }
+      break;
+    }
+  }
+
+  // Keep course order: by section, then by position on the page.
+  found.sort((a, b) => (a.sectionIndex < 0) - (b.sectionIndex < 0) || a.sectionIndex - b.sectionIndex);
+
+  logDebug(`Discovered ${found.length} activity URLs`);
+  return found;
+}
+
+// ---------------------------------------------------------------------
+// Block 9.2: Folder activities (mod/folder)
+// Why: a folder holds many files; the single "best candidate" logic would
+//       keep at most one. Subfolders come from the pluginfile path:
+//       .../mod_folder/content/<rev>/<sub/dirs>/<file>
+// ---------------------------------------------------------------------
+function isFolderActivity(urlStr) {
+  return /\/mod\/folder\/view\.php\?id=\d+/i.test(urlStr);
+}
+
+function folderRelativeParts(fileUrl) {
+  let pathname;
+  try {
+    pathname = new URL(fileUrl).pathname;
+  } catch {
+    return null;
+  }
+  const m = pathname.match(/\/mod_folder\/content\/\d+\/(.+)$/);
+  if (!m) return null;
+  const parts = m[1].split('/')
+    .map((seg) => {
+      try {
+        return sanitizeFilename(decodeURIComponent(seg));
+      } catch {
+        return sanitizeFilename(seg);
+      }
+    })
+    .filter((seg) => seg && seg !== '.' && seg !== '..');
+  return parts.length ? parts : null;
+}
+
+async function processFolder(page, resourceUrl, rid, target) {
+  await navigate(page, resourceUrl);
+
+  const { files, zipUrl } = await page.evaluate(() => {
+    const links = Array.from(document.querySelectorAll('a[href*="/mod_folder/content/"]')).map((a) => a.href);
+    let zip = '';
+    const form = document.querySelector('form[action*="/mod/folder/download_folder.php"]');
+    if (form) {
+      const u = new URL(form.getAttribute('action'), location.href);
+      new FormData(form).forEach((v, k) => u.searchParams.set(k, String(v)));
+      zip = u.toString();
+    }
+    const link = document.querySelector('a[href*="/mod/folder/download_folder.php"]');
+    if (!zip && link) zip = link.href;
+    return { files: Array.from(new Set(links)), zipUrl: zip };
+  });
+
+  const folderRoot = activityRoot(target, rid, 'folder');
+
+  if (FOLDER_MODE === 'zip') {
+    if (zipUrl && DOWNLOAD_ALL) {
+      console.log(`🗂️ [${rid}] Downloading folder as ZIP`);
+      await saveToPath(page, {
+        rid, resourceUrl, fileUrl: zipUrl, outPath: `${folderRoot}.zip`, target,
+        extraMeta: { type: 'folder-zip' }, requirePdf: false,
+      });
+      return;
+    }
+    logDebug(zipUrl ? 'FOLDER_MODE=zip needs DOWNLOAD_ALL=1; using per-file mode' : 'No "Download folder" option; using per-file mode');
+  }
+
+  const entries = files
+    .map((fileUrl) => ({ fileUrl, parts: folderRelativeParts(fileUrl) }))
+    .filter((e) => e.parts)
+    .filter((e) => DOWNLOAD_ALL || e.parts[e.parts.length - 1].toLowerCase().endsWith('.pdf'));
+
+  if (!entries.length) {
+    console.warn(DOWNLOAD_ALL ? `❌ [${rid}] Folder has no files` : `⏭️ [${rid}] Skipping folder (no PDF files)`);
+    summary.skipped += 1;
+    settle(resourceUrl, 'skipped', DOWNLOAD_ALL ? 'folder-empty' : 'no-pdf-candidates');
+    return;
+  }
+
+  console.log(`🗂️ [${rid}] Folder with ${entries.length} file(s) → ${path.relative(OUTPUT_DIR, folderRoot) || '.'}`);
+  for (const { fileUrl, parts } of entries) {
+    await saveToPath(page, {
+      rid, resourceUrl, fileUrl, outPath: path.join(folderRoot, ...parts), target,
+      extraMeta: { type: 'folder-file', folderPath: parts.join('/') },
+    });
+  }
+}
+
+// ---------------------------------------------------------------------
+// Block 9.3: Assignment activities (mod/assign)
+// Why: the brief, its attachments, our own submission and the marker's
+//       feedback (incl. annotated PDFs) only exist on the assignment page.
+// Layout per assignment: description.html, assignment.json, brief/,
+//       submission/, feedback/ (+ description_files/ for inline images).
+// ---------------------------------------------------------------------
+function isAssignActivity(urlStr) {
+  return /\/mod\/assign\/view\.php\?id=\d+/i.test(urlStr);
+}
+
+const ASSIGN_FILE_AREAS = [
+  { dir: 'brief', re: /\/mod_assign\/introattachment\// },
+  { dir: 'submission', re: /\/assignsubmission_file\/submission_files\// },
+  { dir: 'feedback', re: /\/assignfeedback_(?:file|editpdf)\// },
+];
+
+// Point every occurrence of ref (raw or HTML-escaped) in html at local.
+function replaceRef(html, ref, local) {
+  return html.split(ref.replace(/&/g, '&amp;')).join(local).split(ref).join(local);
+}
+
+// A saved file's path from dir, '/'-separated (URL-encoded for links).
+function relativeLink(dir, file, encode = false) {
+  return path.relative(dir, file).split(path.sep).map((p) => (encode ? encodeURIComponent(p) : p)).join('/');
+}
+
+// An assign / forum folder is reported by its files, like processFolder's.
+// Only when no file was saved, kept or failed is the folder itself the
+// output: unchanged when its JSON matches the last run's, archivedAt aside.
+// Call before writing jsonPath.
+function reportActivityFolder(resourceUrl, root, type, jsonPath, data) {
+  if (reportEntry(resourceUrl).outputs.some((o) => o.status !== 'skipped')) return;
+  const content = ({ archivedAt, ...rest }) => JSON.stringify(rest);
+  const status = content(readJson(jsonPath)) === content(data) ? 'unchanged' : 'saved';
+  reportOutput(resourceUrl, { path: root, status, type });
+}
+
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+async function processAssign(page, resourceUrl, rid, target) {
+  await navigate(page, resourceUrl);
+
+  const info = await page.evaluate(() => {
+    const text = (el) => (el ? el.textContent.replace(/\s+/g, ' ').trim() : '');
+    const tableToObject = (table) => {
+      const out = {};
+      if (!table) return out;
+      table.querySelectorAll('tr').forEach((tr) => {
+        const key = text(tr.querySelector('th'));
+        const value = text(tr.querySelector('td'));
+        if (key) out[key] = value;
+      });
+      return out;
+    };
+
+    const intro = document.querySelector('#intro, .activity-description, [data-region="activity-description"]');
+    const dates = {};
+    document.querySelectorAll('[data-region="activity-dates"] div, .activity-dates div').forEach((d) => {
+      const strong = d.querySelector('strong');
+      const key = text(strong).replace(/:$/, '');
+      if (key) dates[key] = text(d).slice(text(strong).length).trim();
+    });
+
+    return {
+      title: ['#region-main h2', '.page-header-headings h1', 'h2']
+        .map((sel) => text(document.querySelector(sel)))
+        .find(Boolean) || '',
+      introHtml: intro ? intro.innerHTML : '',
+      introImages: intro
+        ? Array.from(intro.querySelectorAll('img[src*="/pluginfile.php/"]')).map((img) => img.getAttribute('src'))
+        : [],
+      dates,
+      submissionStatus: tableToObject(document.querySelector('.submissionstatustable table, table.submissionstatustable')),
+      feedback: tableToObject(document.querySelector('.feedback table, table.feedback')),
+      links: Array.from(document.querySelectorAll('a[href*="/pluginfile.php/"]')).map((a) => a.href),
+    };
+  });
+
+  const root = activityRoot(target, rid, 'assign');
+  ensureDir(root);
+  console.log(`📝 [${rid}] Assignment "${info.title || rid}" → ${path.relative(OUTPUT_DIR, root) || '.'}`);
+
+  // Inline images in the brief are saved next to it and re-pointed locally.
+  let introHtml = info.introHtml;
+  for (const src of Array.from(new Set(info.introImages))) {
+    const abs = new URL(src, resourceUrl).toString();
+    const name = sanitizeFilename(fileNameFromUrl(abs, 'image'));
+    const saved = await saveToPath(page, {
+      rid, resourceUrl, fileUrl: abs, outPath: path.join(root, 'description_files', name), target,
+      extraMeta: { type: 'assign-intro-image' }, requirePdf: false,
+    });
+    if (saved.path) introHtml = replaceRef(introHtml, src, relativeLink(root, saved.path, true));
+  }
+
+  const title = info.title || (target.info && target.info.title) || `Assignment ${rid}`;
+  fs.writeFileSync(path.join(root, 'description.html'), [
+    '<!doctype html>',
+    '<html><head><meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '</head><body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p><a href="${escapeHtml(resourceUrl)}">${escapeHtml(resourceUrl)}</a></p>`,
+    introHtml || '<p><em>(no description)</em></p>',
+    '</body></html>',
+    '',
+  ].join('\n'));
+
+  const files = { brief: [], submission: [], feedback: [] };
+  for (const link of Array.from(new Set(info.links))) {
+    const area = ASSIGN_FILE_AREAS.find((a) => a.re.test(link));
+    if (!area) continue;
+    const name = sanitizeFilename(fileNameFromUrl(link));
+    if (!DOWNLOAD_ALL && !name.toLowerCase().endsWith('.pdf')) continue;
+    const outPath = path.join(root, area.dir, name);
+    const saved = await saveToPath(page, {
+      rid, resourceUrl, fileUrl: link, outPath, target,
+      extraMeta: { type: `assign-${area.dir}` },
+    });
+    if (saved.path) files[area.dir].push(relativeLink(root, saved.path));
+  }
+
+  const assignment = {
+    ...activityMeta(rid, resourceUrl, target),
+    type: 'assign',
+    assignmentTitle: title,
+    dates: info.dates,
+    submissionStatus: info.submissionStatus,
+    feedback: info.feedback,
+    files,
+    archivedAt: new Date().toISOString(),
+  };
+  reportActivityFolder(resourceUrl, root, 'assign', path.join(root, 'assignment.json'), assignment);
+  fs.writeFileSync(path.join(root, 'assignment.json'), JSON.stringify(assignment, null, 2));
+  await runAfterSave(root, assignment, resourceUrl);
+}
+
+// ---------------------------------------------------------------------
+// Block 9.4: Forum activities (mod/forum)
+// Why: announcements and Q&A threads vanish when a course closes.
+// Walks every discussion (following list pagination) and writes, per forum:
+//   index.html                       offline list of discussions
+//   forum.json                       forum + discussion summary
+//   discussions/<d>-<subject>.json   posts as a reply tree
+//   discussions/<d>-<subject>.html   self-contained thread view
+//   discussions/<d>-files/<post>/    attachments + inline images
+// ---------------------------------------------------------------------
+const FORUM_MAX_LIST_PAGES = 200;
+
+function isForumActivity(urlStr) {
+  return /\/mod\/forum\/view\.php\?id=\d+/i.test(urlStr);
+}
+
+// Runs in the page: one record per post, parent taken from DOM nesting or
+// the post's own "Show parent" (#p<id>) link.
+function scrapeForumPosts() {
+  const postSel = '[data-post-id], div.forumpost[id^="p"]';
+  const text = (el) => (el ? el.textContent.replace(/\s+/g, ' ').trim() : '');
+  const postId = (el) => el.getAttribute('data-post-id') || (el.id || '').replace(/^p/, '');
+  const own = (post, sel) => Array.from(post.querySelectorAll(sel)).filter((m) => m.closest(postSel) === post);
+
+  return Array.from(document.querySelectorAll(postSel)).map((post) => {
+    const id = postId(post);
+    const ancestor = post.parentElement ? post.parentElement.closest(postSel) : null;
+    let parentId = ancestor ? postId(ancestor) : '';
+    if (!parentId) {
+      const link = own(post, 'a[href*="discuss.php"][href*="#p"]')
+        .map((a) => (a.getAttribute('href').match(/#p(\d+)/) || [])[1])
+        .find((pid) => pid && pid !== id);
+      parentId = link || '';
+    }
+    const content = own(post, '.post-content-container, [data-region-content="forum-post-core-content"], .posting')[0];
+    const time = own(post, 'time[datetime]')[0];
+    return {
+      id,
+      parentId,
+      subject: text(own(post, '[data-region-content="forum-post-core-subject"], .subject, h3')[0]),
+      author: text(own(post, 'a[href*="/user/view.php"], a[href*="/user/profile.php"], .author a')[0]),
+      time: time ? time.getAttribute('datetime') : text(own(post, '.author')[0]),
+      html: content ? content.innerHTML : '',
+      attachments: own(post, 'a[href*="/mod_forum/attachment/"]').map((a) => a.href),
+      images: own(post, 'img[src*="/pluginfile.php/"]').map((img) => img.getAttribute('src')),
+    };
+  });
+}
+
+function buildPostTree(posts) {
+  const byId = new Map(posts.map((p) => [p.id, { ...p, replies: [] }]));
+  const roots = [];
+  for (const post of byId.values()) {
+    const parent = post.parentId && byId.get(post.parentId);
+    if (parent && parent !== post) parent.replies.push(post);
+    else roots.push(post);
+  }
+  return roots;
+}
+
+const FORUM_CSS = `
+body { font-family: system-ui, sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+.post { border: 1px solid #ccc; border-radius: 6px; padding: .75rem 1rem; margin: .75rem 0; background: #fff; }
+.replies { margin-left: 1.5rem; border-left: 3px solid #e3e3e3; padding-left: .75rem; }
+.meta { color: #666; font-size: .9rem; margin-bottom: .5rem; }
+.attachments { font-size: .9rem; }
+img { max-width: 100%; }
+table { border-collapse: collapse; width: 100%; }
+td, th { text-align: left; padding: .35rem .5rem; border-bottom: 1px solid #eee; }`;
+
+function renderForumPost(post) {
+  const attachments = post.attachments.length
+    ? `<div class="attachments">📎 ${post.attachments.map((a) => `<a href="${escapeHtml(a)}">${escapeHtml(path.basename(a))}</a>`).join(' · ')}</div>`
+    : '';
+  const replies = post.replies.length ? `<div class="replies">${post.replies.map(renderForumPost).join('\n')}</div>` : '';
+  return [
+    `<div class="post" id="p${escapeHtml(post.id)}">`,
+    `<h3>${escapeHtml(post.subject)}</h3>`,
+    `<div class="meta">${escapeHtml(post.author)} — ${escapeHtml(post.time)}</div>`,
+    `<div class="content">${post.html}</div>`,
+    attachments,
+    '</div>',
+    replies,
+  ].join('\n');
+}
+
+function renderForumPage(title, bodyHtml) {
+  return `<!doctype html>\n<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>`
+    + `<style>${FORUM_CSS}</style></head><body>\n${bodyHtml}\n</body></html>\n`;
+}
+
+async function processForum(page, resourceUrl, rid, target) {
+  const root = activityRoot(target, rid, 'forum');
+  const discussionsDir = path.join(root, 'discussions');
+  ensureDir(discussionsDir);
+
+  // 1) Walk the discussion list, following pagination links for this forum.
+  const forumId = new URL(resourceUrl).searchParams.get('id');
+  const listQueue = [resourceUrl];
+  const seenLists = new Set();
+  const discussionUrls = new Map();
+  let forumTitle = '';
+  let singlePosts = [];
+
+  while (listQueue.length && seenLists.size < FORUM_MAX_LIST_PAGES) {
+    const listUrl = listQueue.shift();
+    if (seenLists.has(listUrl)) continue;
+    seenLists.add(listUrl);
+    await navigate(page, listUrl);
+
+    const listing = await page.evaluate(() => ({
+      title: (document.querySelector('#region-main h2, h2') || {}).textContent || '',
+      discussions: Array.from(document.querySelectorAll('a[href*="/mod/forum/discuss.php?d="]')).map((a) => a.href),
+      pages: Array.from(document.querySelectorAll('a[href*="/mod/forum/view.php"]')).map((a) => a.href),
+    }));
+    if (!forumTitle) forumTitle = listing.title.replace(/\s+/g, ' ').trim();
+
+    for (const href of listing.discussions) {
+      const u = new URL(href);
+      const d = u.searchParams.get('d');
+      if (d && !discussionUrls.has(d)) discussionUrls.set(d, `${u.origin}${u.pathname}?d=${d}`);
+    }
+    for (const href of listing.pages) {
+      const u = new URL(href);
+      u.hash = '';
+      const isPage = u.searchParams.has('p') || u.searchParams.has('page');
+      if (u.searchParams.get('id') === forumId && isPage) listQueue.push(u.toString());
+    }
+
+    // "Single simple discussion" forums show their posts on view.php itself.
+    if (listUrl === resourceUrl && !listing.discussions.length) {
+      singlePosts = await page.evaluate(scrapeForumPosts);
+    }
+  }
+
+  const title = forumTitle || (target.info && target.info.title) || `Forum ${rid}`;
+  console.log(`💬 [${rid}] Forum "${title}": ${discussionUrls.size || (singlePosts.length ? 1 : 0)} discussion(s)`);
+
+  const threads = [];
+  if (!discussionUrls.size && singlePosts.length) {
+    threads.push({ id: `single-${rid}`, url: resourceUrl, posts: singlePosts });
+  }
+
+  // 2) Visit every discussion.
+  for (const [d, discussUrl] of discussionUrls) {
+    await navigate(page, discussUrl);
+    threads.push({ id: d, url: discussUrl, posts: await page.evaluate(scrapeForumPosts) });
+  }
+
+  // 3) Attachments + inline images, then JSON + HTML per discussion.
+  const summaryRows = [];
+  for (const thread of threads) {
+    const firstSubject = (thread.posts[0] && thread.posts[0].subject) || `Discussion ${thread.id}`;
+    const stem = sanitizeFilename(`${thread.id}-${firstSubject}`).substring(0, 120);
+    const filesDirName = `${thread.id}-files`;
+
+    for (const post of thread.posts) {
+      const localAttachments = [];
+      for (const href of Array.from(new Set(post.attachments))) {
+        const name = sanitizeFilename(fileNameFromUrl(href));
+        if (!DOWNLOAD_ALL && !name.toLowerCase().endsWith('.pdf')) continue;
+        const rel = `${filesDirName}/${post.id}/${name}`;
+        const saved = await saveToPath(page, {
+          rid, resourceUrl, fileUrl: href, outPath: path.join(discussionsDir, rel), target,
+          extraMeta: { type: 'forum-attachment', discussion: thread.id, post: post.id },
+        });
+        if (saved.path) localAttachments.push(relativeLink(discussionsDir, saved.path));
+      }
+      post.attachments = localAttachments;
+
+      for (const src of Array.from(new Set(post.images))) {
+        const abs = new URL(src, thread.url).toString();
+        const name = sanitizeFilename(fileNameFromUrl(abs, 'image'));
+        const rel = `${filesDirName}/${post.id}/${name}`;
+        const saved = await saveToPath(page, {
+          rid, resourceUrl, fileUrl: abs, outPath: path.join(discussionsDir, rel), target,
+          extraMeta: { type: 'forum-image', discussion: thread.id, post: post.id }, requirePdf: false,
+        });
+        if (saved.path) post.html = replaceRef(post.html, src, relativeLink(discussionsDir, saved.path, true));
+      }
+      delete post.images;
+    }
+
+    const tree = buildPostTree(thread.posts);
+    fs.writeFileSync(path.join(discussionsDir, `${stem}.json`), JSON.stringify({
+      id: thread.id,
+      url: thread.url,
+      subject: firstSubject,
+      posts: tree,
+    }, null, 2));
+    fs.writeFileSync(path.join(discussionsDir, `${stem}.html`), renderForumPage(firstSubject, [
+      `<p><a href="../index.html">← ${escapeHtml(title)}</a></p>`,
+      `<h1>${escapeHtml(firstSubject)}</h1>`,
+      `<p class="meta"><a href="${escapeHtml(thread.url)}">${escapeHtml(thread.url)}</a></p>`,
+      tree.map(renderForumPost).join('\n'),
+    ].join('\n')));
+
+    const first = thread.posts[0] || {};
+    summaryRows.push({
+      id: thread.id,
+      subject: firstSubject,
+      author: first.author || '',
+      time: first.time || '',
+      posts: thread.posts.length,
+      json: `discussions/${stem}.json`,
+      html: `discussions/${stem}.html`,
+    });
+  }
+
+  const forum = {
+    ...activityMeta(rid, resourceUrl, target),
+    type: 'forum',
+    forumTitle: title,
+    discussions: summaryRows,
+    archivedAt: new Date().toISOString(),
+  };
+  if (threads.length) reportActivityFolder(resourceUrl, root, 'forum', path.join(root, 'forum.json'), forum);
+  fs.writeFileSync(path.join(root, 'forum.json'), JSON.stringify(forum, null, 2));
+
+  const rows = summaryRows.map((r) => `<tr><td><a href="${escapeHtml(r.html)}">${escapeHtml(r.subject)}</a></td>`
+    + `<td>${escapeHtml(r.author)}</td><td>${escapeHtml(r.time)}</td><td>${r.posts}</td></tr>`).join('\n');
+  fs.writeFileSync(path.join(root, 'index.html'), renderForumPage(title, [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p class="meta"><a href="${escapeHtml(resourceUrl)}">${escapeHtml(resourceUrl)}</a></p>`,
+    `<table><thead><tr><th>Discussion</th><th>Started by</th><th>Date</th><th>Posts</th></tr></thead><tbody>\n${rows}\n</tbody></table>`,
+  ].join('\n')));
+
+  if (!threads.length) {
+    summary.skipped += 1;
+    settle(resourceUrl, 'skipped', 'no-discussions');
+    return;
+  }
+  await runAfterSave(root, forum, resourceUrl);
+}
+
+// ---------------------------------------------------------------------
+// Block 9.5: Book activities (mod/book)
+// Why: a book is many chapter pages; ranking picks at most one of them.
+// Prefers the book's print view (all chapters on one page); otherwise walks
+// the table of contents chapter by chapter. Writes one offline HTML file
+// with a chapter TOC, mirrors embedded images/media into "<name>_files/",
+// and with BOOK_PDF=1 also prints it to PDF through the same browser.
+// ---------------------------------------------------------------------
+function isBookActivity(urlStr) {
+  return /\/mod\/book\/view\.php\?id=\d+/i.test(urlStr);
+}
+
+// Runs in the page: chapters from the print view, if this is one.
+function scrapeBookPrintView() {
+  const text = (el) => (el ? el.textContent.replace(/\s+/g, ' ').trim() : '');
+  return Array.from(document.querySelectorAll('.book_chapter')).map((ch) => {
+    const heading = ch.querySelector('h1, h2, h3, .book_chapter_title');
+    const level = ch.querySelector('h3, .book_subchapter') && !ch.querySelector('h2') ? 2 : 1;
+    const copy = ch.cloneNode(true);
+    const copyHeading = copy.querySelector('h1, h2, h3, .book_chapter_title');
+    if (copyHeading) copyHeading.remove();
+    return { title: text(heading), level, html: copy.innerHTML };
+  });
+}
+
+// Runs in the page: chapter links from the TOC block, in reading order.
+function scrapeBookToc() {
+  return Array.from(document.querySelectorAll('.book_toc a[href*="chapterid="]')).map((a) => ({
+    href: a.href,
+    title: a.textContent.replace(/\s+/g, ' ').trim(),
+    level: a.closest('ul ul') ? 2 : 1,
+  }));
+}
+
+function bookMediaRefs(html) {
+  const refs = new Set();
+  for (const m of html.matchAll(/<(?:img|source|video|audio|embed|track)\b[^>]*?\bsrc\s*=\s*["']([^"']+)["']/gi)) refs.add(m[1]);
+  for (const m of html.matchAll(/<object\b[^>]*?\bdata\s*=\s*["']([^"']+)["']/gi)) refs.add(m[1]);
+  for (const m of html.matchAll(/<a\b[^>]*?\bhref\s*=\s*["']([^"']*\/mod_book\/chapter\/[^"']+)["']/gi)) refs.add(m[1]);
+  return Array.from(refs).filter((r) => r.includes('/pluginfile.php/'));
+}
+
+// A `download` for saveToPath that writes the file itself (write(dest))
+// instead of fetching fileUrl; resolves like streamDownload().
+function generatedFile(contentType, write) {
+  return async (_page, _fileUrl, destPath) => {
+    ensureDir(path.dirname(destPath));
+    await write(destPath);
+    const buf = fs.readFileSync(destPath);
+    return {
+      ok: true,
+      status: 200,
+      ct: contentType,
+      cl: String(buf.length),
+      bytes: buf.length,
+      sha256: crypto.createHash('sha256').update(buf).digest('hex'),
+      prefix: buf.subarray(0, 512),
+      path: destPath,
+    };
+  };
+}
+
+async function processBook(browser, page, resourceUrl, rid, target) {
+  const cmid = new URL(resourceUrl).searchParams.get('id');
+  let chapters = [];
+  let bookTitle = '';
+  let baseUrl = resourceUrl;
+
+  // Relative to mod/book/view.php, so Moodle in a subdirectory works too.
+  const printUrl = new URL(`tool/print/index.php?id=${cmid}`, resourceUrl).toString();
+  try {
+    const resp = await navigate(page, printUrl);
+    if (resp && resp.ok()) {
+      chapters = await page.evaluate(scrapeBookPrintView);
+      bookTitle = await page.evaluate(() => (document.querySelector('.book_title, h1, h2') || {}).textContent || '');
+      baseUrl = printUrl;
+    }
+  } catch (e) {
+    logDebug(`Book print view unavailable (${printUrl}): ${e.message}`);
+  }
+
+  if (!chapters.length) {
+    logDebug(`Walking book chapters via table of contents for ${rid}`);
+    await navigate(page, resourceUrl);
+    bookTitle = await page.evaluate(() => (document.querySelector('#region-main h2, h2') || {}).textContent || '');
+    const toc = await page.evaluate(scrapeBookToc);
+    const firstHtml = await page.$eval('.book_content, [role="main"]', (el) => el.innerHTML).catch(() => '');
+    const seen = new Set();
+    for (const entry of toc) {
+      const chapterId = new URL(entry.href).searchParams.get('chapterid');
+      if (seen.has(chapterId)) continue;
+      seen.add(chapterId);
+      await navigate(page, entry.href);
+      const html = await page.$eval('.book_content, [role="main"]', (el) => el.innerHTML).catch(() => '');
+      chapters.push({ title: entry.title, level: entry.level, html, url: entry.href });
+    }
+    // Single-chapter books have no TOC links: keep the page we are on.
+    if (!chapters.length && firstHtml) {
+      chapters.push({ title: bookTitle, level: 1, html: firstHtml, url: resourceUrl });
+    }
+  }
+
+  if (!chapters.length) {
+    console.warn(`❌ [${rid}] No book chapters found`);
+    summary.skipped += 1;
+    settle(resourceUrl, 'skipped', 'no-chapters');
+    return;
+  }
+
+  const title = bookTitle.replace(/\s+/g, ' ').trim() || (target.info && target.info.title) || `Book ${rid}`;
+  const stem = target.structured ? target.stem : `${rid}-book`;
+  const htmlPath = path.join(target.dir, `${stem}.html`);
+  const filesDirName = `${stem}_files`;
+
+  // Mirror embedded media per chapter ("<stem>_files/<n>/<name>").
+  for (const [i, chapter] of chapters.entries()) {
+    for (const ref of bookMediaRefs(chapter.html)) {
+      const abs = new URL(ref.replace(/&amp;/g, '&'), chapter.url || baseUrl).toString();
+      const name = sanitizeFilename(fileNameFromUrl(abs, 'media'));
+      const rel = `${filesDirName}/${i + 1}/${name}`;
+      const saved = await saveToPath(page, {
+        rid, resourceUrl, fileUrl: abs, outPath: path.join(target.dir, rel), target,
+        extraMeta: { type: 'book-media', chapter: chapter.title }, requirePdf: false,
+      });
+      if (saved.path) chapter.html = replaceRef(chapter.html, ref, relativeLink(target.dir, saved.path, true));
+    }
+  }
+
+  const toc = chapters.map((ch, i) => `<li class="lvl${ch.level}"><a href="#ch-${i + 1}">${escapeHtml(ch.title || `Chapter ${i + 1}`)}</a></li>`);
+  const body = chapters.map((ch, i) => [
+    `<section class="chapter lvl${ch.level}" id="ch-${i + 1}">`,
+    `<h${ch.level + 1}>${escapeHtml(ch.title || `Chapter ${i + 1}`)}</h${ch.level + 1}>`,
+    ch.html,
+    '</section>',
+  ].join('\n'));
+
+  const html = [
+    '<!doctype html>',
+    '<html><head><meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '<style>',
+    'body { font-family: system-ui, sans-serif; max-width: 55rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }',
+    'nav li.lvl2 { margin-left: 1.5rem; } img, video { max-width: 100%; }',
+    'section.chapter { page-break-before: always; } section.chapter:first-of-type { page-break-before: auto; }',
+    '</style>',
+    '</head><body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p><a href="${escapeHtml(resourceUrl)}">${escapeHtml(resourceUrl)}</a></p>`,
+    `<nav><h2>Contents</h2><ol>\n${toc.join('\n')}\n</ol></nav>`,
+    body.join('\n'),
+    '</body></html>',
+    '',
+  ].join('\n');
+
+  const bookMeta = {
+    type: 'book',
+    bookTitle: title,
+    source: baseUrl === resourceUrl ? 'chapters' : 'print-view',
+    chapters: chapters.map((ch) => ({ title: ch.title, level: ch.level })),
+  };
+  // The HTML and PDF go through saveToPath like downloads, keyed by the
+  // activity URL + #book / #book-pdf and versioned by the HTML's SHA-256:
+  // an unchanged book is reported unchanged and not re-rendered.
+  const version = crypto.createHash('sha256').update(html).digest('hex');
+  const bookUrl = `${resourceUrl}#book`;
+  // Copies saved before books were in the manifest are replaced, not renamed.
+  if (!manifest.entries[manifestKey(rid, bookUrl)]) fs.rmSync(htmlPath, { force: true });
+  const saved = await saveToPath(page, {
+    rid, resourceUrl, fileUrl: bookUrl, outPath: htmlPath, target, extraMeta: bookMeta, requirePdf: false, version,
+    download: generatedFile('text/html', (dest) => fs.writeFileSync(dest, html)),
+  });
+  console.log(`📖 [${rid}] Book "${title}" (${chapters.length} chapters) → ${path.relative(OUTPUT_DIR, saved.path || htmlPath)}`);
+
+  if (BOOK_PDF && saved.path) {
+    const pdfUrl = `${resourceUrl}#book-pdf`;
+    const pdfPath = path.join(target.dir, `${stem}.pdf`);
+    if (!manifest.entries[manifestKey(rid, pdfUrl)]) fs.rmSync(pdfPath, { force: true });
+    try {
+      await saveToPath(page, {
+        rid, resourceUrl, fileUrl: pdfUrl, outPath: pdfPath, target,
+        extraMeta: { ...bookMeta, type: 'book-pdf' }, requirePdf: false, version,
+        download: generatedFile('application/pdf', async (dest) => {
+          const printPage = await browser.newPage();
+          try {
+            await printPage.goto(`file://${path.resolve(saved.path)}`, { waitUntil: 'networkidle0' });
+            await printPage.pdf({ path: dest, format: 'A4', printBackground: true, margin: { top: '15mm', bottom: '15mm', left: '12mm', right: '12mm' } });
+          } finally {
+            await printPage.close();
+          }
+        }),
+      });
+    } catch (e) {
+      console.warn(`⚠️ [${rid}] Book PDF rendering failed: ${e.message}`);
+      reportOutput(resourceUrl, { path: pdfPath, status: 'failed', reason: 'render-failed', detail: e.message });
+    }
+  }
+}
+
+// ---------------------------------------------------------------------
+// Block 9.6: Per-resource pipeline – processResource()
+// Runs once per activity URL on a worker page. Safe to run concurrently:
+// counters are plain increments, and output names are claimed
+// synchronously (uniquePath/uniqueDir + write) with no await in between.
+// ---------------------------------------------------------------------
+async function processResource(browser, page, resourceUrl) {
+  summary.processed += 1;
+
+  const rid = getResourceId(resourceUrl);
+  const target = outputTarget(resourceUrl, rid);
+  const entry = reportEntry(resourceUrl);
+  const info = activityInfo.get(resourceUrl) || {};
+  Object.assign(entry, { module: info.module, title: info.title, section: info.section, startedAt: new Date().toISOString() });
+
+  try {
+    ensureDir(target.dir);
+    if (await runPluginHandlers(browser, page, resourceUrl, rid, target)) {
+      return;
+    }
+    if (isWsActivity(resourceUrl) && await processWsActivity(page, resourceUrl, rid, target)) {
+      return;
+    }
+    if (isFolderActivity(resourceUrl)) {
+      await processFolder(page, resourceUrl, rid, target);
+      return;
+    }
+    if (isAssignActivity(resourceUrl)) {
+      await processAssign(page, resourceUrl, rid, target);
+      return;
+    }
+    if (isForumActivity(resourceUrl)) {
+      await processForum(page, resourceUrl, rid, target);
+      return;
+    }
+    if (isBookActivity(resourceUrl)) {
+      await processBook(browser, page, resourceUrl, rid, target);
+      return;
+    }
+
+    const navResponse = await navigate(page, resourceUrl);
+
+    const candidates = await extractCandidatesFromPage(page, resourceUrl, navResponse);
+    if (!candidates.length) {
+      console.warn(`❌ [${rid}] No downloadable link candidates found`);
+      // Sidecars put these copies in the archive index like any other save.
+      const pageMeta = { ...activityMeta(rid, resourceUrl, target), savedFrom: page.url(), contentType: 'text/html' };
+      const html = await page.content();
+      const pagePath = path.join(target.dir, `${target.stem}-page.html`);
+      fs.writeFileSync(pagePath, html);
+      fs.writeFileSync(`${pagePath}.meta.json`, JSON.stringify({ ...pageMeta, type: 'page-snapshot' }, null, 2));
+      if (resourceUrl.includes('/mod/page/')) {
+        const mainHtml = await page.$eval('div[role="main"], #region-main', (el) => el.outerHTML).catch(() => '');
+        if (mainHtml) {
+          const mainPath = path.join(target.dir, `${target.stem}-page-main.html`);
+          fs.writeFileSync(mainPath, mainHtml);
+          fs.writeFileSync(`${mainPath}.meta.json`, JSON.stringify({ ...pageMeta, type: 'page-main' }, null, 2));
+          logDebug(`Saved mod/page main HTML fallback for ${rid}`);
+        }
+      }
+      summary.skipped += 1;
+      settle(resourceUrl, 'skipped', 'no-candidates');
+      return;
+    }
+
+    const ranked = rankCandidates(candidates, resourceUrl);
+    if (!ranked.length) {
+      console.warn(DOWNLOAD_ALL ? `❌ [${rid}] No suitable link candidates found` : `⏭️ [${rid}] Skipping (no PDF candidates found)`);
+      summary.skipped += 1;
+      settle(resourceUrl, 'skipped', DOWNLOAD_ALL ? 'no-suitable-candidates' : 'no-pdf-candidates');
+      return;
+    }
+
+    let chosen = null;
+    let chosenPf = null;
+
+    for (const { href } of ranked) {
+      if (!href || /\/course\/search\.php/i.test(href)) continue;
+      // Stream players sit behind SharePoint sign-in; the browser resolves them.
+      if (isStreamPage(href)) {
+        chosen = href;
+        chosenPf = {};
+        break;
+      }
+      const pf = await withRetries(() => preflight(page, href));
+      if (!pf || !pf.ok) continue;
+
+      const ctLower = (pf.ct || '').toLowerCase();
+      const clNum = pf.cl ? Number(pf.cl) : NaN;
+      if (!Number.isNaN(clNum) && clNum > MAX_BYTES) continue;
+
+      if (!DOWNLOAD_ALL) {
+        if (!ctLower.includes('pdf')) continue;
+        chosen = href;
+        chosenPf = pf;
+        break;
+      }
+
+      const looksZipByUrl = href.toLowerCase().includes('.zip');
+      const prefixBuf = pf.prefix ? Buffer.from(pf.prefix) : null;
+      const zipBySig = prefixBuf ? looksLikeZIP(prefixBuf) : false;
+      const zipByCT = ctLower.includes('zip');
+
+      if (looksZipByUrl && (zipByCT || zipBySig)) {
+        chosen = href;
+        chosenPf = pf;
+        break;
+      }
+
+      chosen = href;
+      chosenPf = pf;
+      break;
+    }
+
+    if (!chosen) {
+      console.warn(`❌ [${rid}] No downloadable candidate passed preflight checks`);
+      summary.skipped += 1;
+      settle(resourceUrl, 'skipped', 'preflight-failed', { candidates: ranked.length });
+      return;
+    }
+    entry.chosenUrl = chosen;
+
+    if (isStreamPage(chosen) || isHlsUrl(chosen) || /mpegurl/i.test(chosenPf.ct || '')) {
+      await processVideo(page, resourceUrl, rid, target, chosen);
+      return;
+    }
+
+    logDebug(`Checking if chosen is HTML package: ${chosen}`);
+    if (isHtmlPackageIndex(chosen)) {
+      logDebug(`✅ Chosen URL looks like index.html HTML package`);
+    } else {
+      logDebug(`❌ Chosen URL is NOT an HTML package`);
+    }
+
+    const key = manifestKey(rid, chosen);
+    const prev = manifest.entries[key];
+    if (isUnchanged(prev, chosenPf)) {
+      console.log(`⏩ [${rid}] Unchanged: ${prev.path}`);
+      summary.unchanged += 1;
+      settle(resourceUrl, 'unchanged', 'not-modified', { outputs: [{ path: prev.path, status: 'unchanged' }] });
+      return;
+    }
+
+    // Stream into a per-URL temp file; a failed attempt leaves a .part
+    // behind that the next retry (or next run) resumes from.
+    const tempPath = path.join(PARTIAL_DIR, crypto.createHash('sha1').update(`${rid} ${chosen}`).digest('hex'));
+    const full = await withRetries(() => streamDownload(page, chosen, tempPath));
+    if (full && full.tooLarge) {
+      console.warn(`⏭️ [${rid}] Skipping (larger than ${MAX_BYTES} bytes; set ALLOW_LARGE=1)`);
+      summary.skipped += 1;
+      settle(resourceUrl, 'skipped', 'over-size-cap');
+      return;
+    }
+    if (full && full.ok && /text\/html/i.test(full.ct || '') && looksLikeLoginFile(tempPath)) {
+      fs.rmSync(tempPath, { force: true });
+      throw sessionExpired(chosen);
+    }
+    if (!full || !full.ok) {
+      console.warn(`❌ [${rid}] Download failed: HTTP ${full?.status ?? '??'} (${full?.ct ?? 'no content-type'})`);
+      summary.failed += 1;
+      settle(resourceUrl, 'failed', 'http-error', { httpStatus: full?.status ?? null });
+      return;
+    }
 
-        if (!buffer || status === 206) {
-          const full = await withRetries(() => fetchBinary(harvestTarget, url));
-          const bufferLength = buffer ? buffer.length : 0;
-          if (full && full.ok && full.data && full.data.length >= bufferLength) {
-            buffer = Buffer.from(full.data);
-          }
-        }
+    const head = full.prefix;
+    const ctLower = (full.ct || '').toLowerCase();
 
-        if (!buffer || !buffer.length) return;
+    // PDF-only mode: enforce real PDF
+    if (!DOWNLOAD_ALL && (!ctLower.includes('pdf') || !looksLikePDF(head))) {
+      console.warn(`⏭️ [${rid}] Skipping (not a real PDF; ct=${full.ct || 'n/a'})`);
+      fs.rmSync(tempPath, { force: true });
+      summary.skipped += 1;
+      settle(resourceUrl, 'skipped', 'not-pdf', { contentType: full.ct || '' });
+      return;
+    }
 
-        const localPath = localPathForAsset(url);
-        if (!localPath) return;
-        ensureDir(path.dirname(localPath));
-        fs.writeFileSync(localPath, buffer);
-        harvestedCount += 1;
-        if (contentType.startsWith('audio/') || contentType.startsWith('video/')) {
-          logDebug(`Harvested media asset: ${url}`);
-        }
-      } catch (e) {
-        logDebug(`Harvest response error: ${e.message}`);
-      }
-    });
+    const hash = full.sha256;
+    const validators = { etag: full.etag || '', lastModified: full.lastModified || '' };
+    if (!FORCE && prev && prev.sha256 === hash && manifestLocalPath(prev)) {
+      fs.rmSync(tempPath, { force: true });
+      recordManifest(key, { ...validators, path: manifestLocalPath(prev) });
+      console.log(`⏩ [${rid}] Unchanged (same content): ${prev.path}`);
+      summary.unchanged += 1;
+      settle(resourceUrl, 'unchanged', 'same-content', { outputs: [{ path: prev.path, status: 'unchanged' }] });
+      return;
+    }
 
-    harvestTarget.on('popup', async (popup) => {
-      attachHarvester(popup);
+    // HTML package
+    // Mirrored under .partial/ first: the current copy is only archived once
+    // the new one is complete, so a failed mirror leaves it (and the
+    // manifest) as they were.
+    if (DOWNLOAD_ALL && isHtmlPackageIndex(chosen) && looksLikeHTML(head)) {
+      const entryBuf = fs.readFileSync(tempPath);
+      fs.rmSync(tempPath, { force: true });
+      const stagingDir = `${tempPath}-package`;
+      fs.rmSync(stagingDir, { recursive: true, force: true });
       try {
-        await popup.waitForLoadState?.('domcontentloaded');
-      } catch (e) {
-        logDebug(`Popup load wait failed: ${e.message}`);
+        await mirrorHtmlPackage(browser, page, rid, chosen, entryBuf, stagingDir);
+      } catch (err) {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+        throw err;
       }
+      const replaced = prev ? archiveVersion(prev) : null;
+      if (replaced) summary.updated += 1;
+      const packageRoot = uniqueDir(path.join(target.dir, target.structured ? target.stem : `${rid}-package`));
+      ensureDir(path.dirname(packageRoot));
+      fs.renameSync(stagingDir, packageRoot);
+      console.log(`📦 Mirrored HTML package: ${path.relative(OUTPUT_DIR, packageRoot)}`);
+      const packageMeta = {
+        ...activityMeta(rid, resourceUrl, target),
+        downloadedFrom: chosen,
+        type: 'package',
+        etag: validators.etag,
+        lastModified: validators.lastModified,
+        sha256: hash,
+      };
+      fs.writeFileSync(`${packageRoot}.meta.json`, JSON.stringify(packageMeta, null, 2));
+      recordManifest(key, {
+        rid, url: stripControlChars(resourceUrl), resolvedUrl: chosen, type: 'package',
+        ...validators, size: full.bytes, sha256: hash, path: packageRoot,
+      });
+      settle(resourceUrl, 'package', null, { bytes: full.bytes });
+      reportOutput(resourceUrl, { path: packageRoot, status: replaced ? 'updated' : 'package' });
+      await runAfterSave(packageRoot, packageMeta, resourceUrl);
+      return;
+    }
+
+    // Regular file
+    const replaced = prev ? archiveVersion(prev) : null;
+    if (replaced) summary.updated += 1;
+    const rawName = fileNameFromUrl(chosen);
+
+    const hasExt = /\.[a-z0-9]{1,8}$/i.test(rawName);
+    let ext = hasExt ? '' : extFromContentType(full.ct);
+    if (!hasExt && !ext) ext = DOWNLOAD_ALL ? '.bin' : '.pdf';
+
+    const finalName = hasExt ? sanitizeFilename(rawName) : sanitizeFilename(rawName + ext);
+    const outName = target.structured
+      ? sanitizeFilename(`${target.stem}${path.extname(finalName)}`)
+      : sanitizeFilename(`${target.stem}-${finalName}`);
+    const outPath = replaced && prev.type === 'file'
+      ? path.join(OUTPUT_DIR, prev.path)
+      : uniquePath(target.dir, outName);
+
+    fs.renameSync(tempPath, outPath);
+
+    // Save optional metadata file
+    const meta = {
+      ...activityMeta(rid, resourceUrl, target),
+      downloadedFrom: chosen,
+      originalFilename: finalName,
+      contentType: full.ct || '',
+      contentLength: full.cl || '',
+      etag: validators.etag,
+      lastModified: validators.lastModified,
+      size: full.bytes,
+      sha256: hash,
+      integrity: full.integrity,
+    };
+    fs.writeFileSync(outPath + '.meta.json', JSON.stringify(meta, null, 2));
+    recordManifest(key, {
+      rid, url: meta.url, resolvedUrl: chosen, type: 'file',
+      ...validators, size: full.bytes, sha256: hash, path: outPath,
     });
-  };
 
-  const harvestPage = await browser.newPage();
-  attachHarvester(harvestPage);
+    summary.savedFiles += 1;
+    bump(summary.byMime, (full.ct || 'unknown').split(';')[0]);
+    bump(summary.byExt, path.extname(outPath).toLowerCase() || '(no-ext)');
+    const corrupt = full.integrity && full.integrity.problem;
+    const corruptFields = corrupt ? { reason: 'corrupt', detail: corrupt } : {};
+    settle(resourceUrl, replaced ? 'updated' : 'saved', corrupt ? 'corrupt' : null, corrupt ? { detail: corrupt } : {});
+    reportOutput(resourceUrl, { url: chosen, path: outPath, status: replaced ? 'updated' : 'saved', bytes: full.bytes, contentType: full.ct || '', ...corruptFields });
 
-  await withRetries(() => harvestPage.goto(entryUrl, { waitUntil: 'domcontentloaded' }));
-  await sleep(HARVEST_SECONDS * 1000);
-  await harvestPage.close();
-  if (harvestedCount >= harvestLimit) {
-    logDebug(`Harvest stopped at MIRROR_MAX_FILES limit (${MIRROR_MAX_FILES}) for ${rid}`);
+    console.log(`${replaced ? '🔄 Updated' : '✅ Saved'}: ${path.relative(OUTPUT_DIR, outPath)} (${full.ct || 'unknown type'})`);
+    if (corrupt) console.warn(`⚠️ [${rid}] ${corrupt} (kept as sent)`);
+    dedupe(outPath, hash, resourceUrl);
+    await unpackZip(outPath, meta, resourceUrl);
+    await runAfterSave(outPath, meta, resourceUrl);
+  } catch (err) {
+    // Not this resource's fault; the worker retries it (or defers it for --resume).
+    if (err instanceof SessionExpiredError) throw err;
+    summary.failed += 1;
+    settle(resourceUrl, 'failed', err instanceof IntegrityError ? err.reason : 'exception', { detail: err.message });
+    console.error(`❌ [${rid}] Failed for ${resourceUrl}: ${err.message}`);
+  } finally {
+    entry.finishedAt = new Date().toISOString();
+    entry.durationMs = Date.parse(entry.finishedAt) - Date.parse(entry.startedAt);
   }
-
-  summary.savedPackages += 1;
-  console.log(`📦 Mirrored HTML package: ${path.basename(packageRoot)}`);
 }
 
 // ---------------------------------------------------------------------
-// Block 9: DOM extraction – extractCandidatesFromPage()
+// Block 9.7: Offline archive index (<OUTPUT_DIR>/index.html)
+// What: One page listing everything in the archive — activity, file,
+//       section, type, size, date — linking to the local copies, with
+//       filtering that runs in the page (no server; file:// is fine).
+// Built from the .meta.json sidecars (plus assignment.json / forum.json
+// directories), so it covers earlier runs too, not just this one.
 // ---------------------------------------------------------------------
-async function extractCandidatesFromPage(page, resourceUrl, navResponse) {
-  logDebug(`🧪 Extracting candidates for: ${resourceUrl}`);
-
-  await new Promise(r => setTimeout(r, 2000));
+const INDEX_SKIP_DIRS = new Set(['_versions', '_warc', '_reports', '.partial', '.search-index']);
+const INDEX_DIR_MARKERS = [
+  { file: 'assignment.json', type: 'assignment', entry: 'description.html' },
+  { file: 'forum.json', type: 'forum', entry: 'index.html' },
+];
 
-  const candidates = new Set();
-  const pushCandidate = (value, source) => {
-    if (!value) return;
-    const raw = stripControlChars(value);
-    if (!raw) return;
-    try {
-      const normalized = new URL(raw, resourceUrl).toString();
-      candidates.add(normalized);
-      logDebug(`candidate[${source}]: ${normalized}`);
-    } catch {
-      // ignore invalid URL fragments
-    }
-  };
+function pathSize(p) {
+  const st = fs.statSync(p);
+  if (!st.isDirectory()) return st.size;
+  return fs.readdirSync(p).reduce((n, name) => n + pathSize(path.join(p, name)), 0);
+}
 
-  // Navigation-level signals: redirects and direct file responses.
-  if (navResponse) {
-    pushCandidate(navResponse.url(), 'nav-response-url');
-    const navHeaders = navResponse.headers ? navResponse.headers() : {};
-    const navCt = String(navHeaders['content-type'] || '').toLowerCase();
-    if (navCt && !navCt.includes('text/html')) {
-      pushCandidate(navResponse.url(), 'nav-non-html-content-type');
-    }
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return {};
   }
+}
 
-  pushCandidate(page.url(), 'page-url');
-
-  const domCandidates = await page.evaluate(() => {
-    const out = [];
-    const push = (u) => { if (u) out.push(String(u)); };
-
-    const parseWindowOpen = (onclick) => {
-      if (!onclick) return null;
-      const s = String(onclick);
+function itemKind(meta, subject, isDir) {
+  if (meta.type === 'package' || (isDir && fs.existsSync(path.join(subject, 'index.html')))) return 'package';
+  if (meta.type === 'book' || meta.type === 'video') return meta.type;
+  if (meta.type === 'folder-zip') return 'zip';
+  if (meta.type === 'zip-contents') return 'folder';
+  const ext = path.extname(subject).toLowerCase();
+  if (ext === '.pdf') return 'pdf';
+  if (ext === '.zip') return 'zip';
+  if (['.mp4', '.m4v', '.mov', '.webm', '.ts', '.mkv'].includes(ext)) return 'video';
+  if (['.mp3', '.m4a', '.wav', '.ogg', '.aac'].includes(ext)) return 'audio';
+  if (['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp'].includes(ext)) return 'image';
+  if (['.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx', '.odt', '.odp', '.ods'].includes(ext)) return 'office';
+  if (['.html', '.htm'].includes(ext)) return 'html';
+  return ext ? ext.slice(1) : 'file';
+}
 
-      let m = s.match(/window\.open\(\s*'([^']+)'/i);
-      if (m && m[1]) return m[1];
+function collectArchiveItems() {
+  const savedAt = new Map(Object.values(manifest.entries).map((e) => [e.path, e.savedAt]));
+  const items = [];
 
-      m = s.match(/window\.open\(\s*"([^"]+)"/i);
-      if (m && m[1]) return m[1];
+  const add = (subject, meta, kind, entryFile) => {
+    const rel = path.relative(OUTPUT_DIR, subject);
+    const target = entryFile ? path.join(rel, entryFile) : rel;
+    items.push({
+      title: meta.title || meta.assignmentTitle || meta.forumTitle || meta.bookTitle || meta.originalFilename || path.basename(subject),
+      file: rel.split(path.sep).join('/'),
+      href: target.split(path.sep).map(encodeURIComponent).join('/'),
+      section: meta.section || '',
+      sectionIndex: Number.isInteger(meta.sectionIndex) ? meta.sectionIndex : 9999,
+      type: kind,
+      size: pathSize(subject),
+      date: savedAt.get(rel) || fs.statSync(subject).mtime.toISOString(),
+      source: meta.url || '',
+    });
+  };
 
-      return null;
-    };
+  const walk = (dir) => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        if (dir === OUTPUT_DIR && INDEX_SKIP_DIRS.has(dirent.name)) continue;
+        // Packages are listed through their sidecar; don't list their assets.
+        if (fs.existsSync(`${full}.meta.json`)) continue;
+        // Nor a book's media (<stem>_files/ next to <stem>.html).
+        if (dirent.name.endsWith('_files') && fs.existsSync(path.join(dir, `${dirent.name.slice(0, -'_files'.length)}.html`))) continue;
+        const marker = INDEX_DIR_MARKERS.find((m) => fs.existsSync(path.join(full, m.file)));
+        if (marker) {
+          const entry = fs.existsSync(path.join(full, marker.entry)) ? marker.entry : '';
+          add(full, readJson(path.join(full, marker.file)), marker.type, entry);
+          continue;
+        }
+        walk(full);
+        continue;
+      }
+      if (!dirent.name.endsWith('.meta.json')) continue;
+      const subject = full.slice(0, -'.meta.json'.length);
+      if (!fs.existsSync(subject)) continue;
+      const isDir = fs.statSync(subject).isDirectory();
+      const meta = readJson(full);
+      const kind = itemKind(meta, subject, isDir);
+      add(subject, meta, kind, kind === 'package' ? meta.entry || 'index.html' : '');
+    }
+  };
+  walk(OUTPUT_DIR);
 
-    const parseRedirect = (text) => {
-      if (!text) return null;
-      const s = String(text);
-      let m = s.match(/location\.href\s*=\s*['"]([^'"]+)['"]/i);
-      if (m && m[1]) return m[1];
-      m = s.match(/location\.replace\(\s*['"]([^'"]+)['"]\s*\)/i);
-      if (m && m[1]) return m[1];
-      return null;
-    };
+  return items.sort((a, b) => a.sectionIndex - b.sectionIndex || a.title.localeCompare(b.title) || a.file.localeCompare(b.file));
+}
 
-    document.querySelectorAll('a[href]').forEach((a) => {
-      push(a.getAttribute('href') || a.href);
-      const onclick = a.getAttribute('onclick');
-      const w = parseWindowOpen(onclick);
-      if (w) push(w);
-      const r = parseRedirect(onclick);
-      if (r) push(r);
-    });
+function formatBytes(n) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  let v = n;
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i += 1;
+  }
+  return `${i ? v.toFixed(1) : v} ${units[i]}`;
+}
 
-    document.querySelectorAll('iframe[src], frame[src], embed[src], object[data], source[src]').forEach((el) => {
-      push(el.getAttribute('src') || el.getAttribute('data'));
-    });
+const INDEX_CSS = `
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 75rem; padding: 0 1rem; color: #222; }
+.controls { display: flex; gap: .5rem; flex-wrap: wrap; margin: 1rem 0; }
+.controls input { flex: 1; min-width: 16rem; padding: .4rem .6rem; }
+.controls select { padding: .4rem; }
+table { border-collapse: collapse; width: 100%; }
+td, th { text-align: left; padding: .35rem .5rem; border-bottom: 1px solid #eee; vertical-align: top; }
+th { cursor: pointer; user-select: none; background: #f6f6f6; }
+td.size, th.size { text-align: right; white-space: nowrap; }
+.file { color: #666; font-size: .85rem; word-break: break-all; }
+.type { font-size: .8rem; background: #eef; border-radius: 3px; padding: .05rem .35rem; }
+#count { color: #666; }`;
 
-    document.querySelectorAll('meta[http-equiv="refresh"][content]').forEach((m) => {
-      const content = m.getAttribute('content') || '';
-      const mm = content.match(/url=(.+)$/i);
-      if (mm && mm[1]) push(mm[1].trim());
+// Plain DOM filtering over the rendered rows; nothing is fetched.
+const INDEX_SCRIPT = `
+(function () {
+  var rows = Array.prototype.slice.call(document.querySelectorAll('tbody tr'));
+  var q = document.getElementById('q');
+  var type = document.getElementById('type');
+  var section = document.getElementById('section');
+  var count = document.getElementById('count');
+  function apply() {
+    var terms = q.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    var shown = 0;
+    rows.forEach(function (tr) {
+      var hay = tr.getAttribute('data-search');
+      var ok = terms.every(function (t) { return hay.indexOf(t) !== -1; })
+        && (!type.value || tr.getAttribute('data-type') === type.value)
+        && (!section.value || tr.getAttribute('data-section') === section.value);
+      tr.hidden = !ok;
+      if (ok) shown += 1;
     });
-
-    document.querySelectorAll('script').forEach((sc) => {
-      const txt = sc.textContent || '';
-      const fromRedirect = parseRedirect(txt);
-      if (fromRedirect) push(fromRedirect);
-
-      const pf = txt.match(/https?:\/\/[^"'\s]+pluginfile\.php[^"'\s]*/gi) || [];
-      pf.forEach(push);
+    count.textContent = shown + ' of ' + rows.length + ' item(s)';
+    location.replace('#' + encodeURIComponent(q.value));
+  }
+  document.querySelectorAll('th[data-key]').forEach(function (th) {
+    var dir = 1;
+    th.addEventListener('click', function () {
+      var key = th.getAttribute('data-key');
+      var num = key === 'size' || key === 'order';
+      rows.sort(function (a, b) {
+        var x = a.getAttribute('data-' + key), y = b.getAttribute('data-' + key);
+        return dir * (num ? Number(x) - Number(y) : x.localeCompare(y));
+      });
+      dir = -dir;
+      var body = document.querySelector('tbody');
+      rows.forEach(function (tr) { body.appendChild(tr); });
     });
-
-    return out;
   });
+  if (location.hash.length > 1) q.value = decodeURIComponent(location.hash.slice(1));
+  q.addEventListener('input', apply);
+  type.addEventListener('change', apply);
+  section.addEventListener('change', apply);
+  apply();
+})();`;
 
-  for (const href of domCandidates) {
-    pushCandidate(href, 'dom');
-  }
+function writeArchiveIndex() {
+  const items = collectArchiveItems();
+  const options = (values) => values.map((v) => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+  const types = Array.from(new Set(items.map((i) => i.type))).sort();
+  const sections = Array.from(new Set(items.map((i) => i.section).filter(Boolean)));
+  const title = COURSE ? `Course ${COURSE}` : path.basename(path.resolve(OUTPUT_DIR));
 
-  // Keep Moodle activity links out of final candidates unless nothing else exists.
-  const finalCandidates = Array.from(candidates).filter((u) => {
-    const lower = u.toLowerCase();
-    const isActivityView = /\/mod\/(resource|page|url)\/view\.php\?id=\d+/.test(lower);
-    return !isActivityView;
-  });
+  const rows = items.map((item, order) => [
+    `<tr data-search="${escapeHtml(`${item.title} ${item.file} ${item.section} ${item.type}`.toLowerCase())}"`
+      + ` data-type="${escapeHtml(item.type)}" data-section="${escapeHtml(item.section)}" data-order="${order}"`
+      + ` data-title="${escapeHtml(item.title.toLowerCase())}" data-size="${item.size}" data-date="${escapeHtml(item.date)}">`,
+    `<td><a href="${escapeHtml(item.href)}">${escapeHtml(item.title)}</a><div class="file">${escapeHtml(item.file)}</div></td>`,
+    `<td>${escapeHtml(item.section)}</td>`,
+    `<td><span class="type">${escapeHtml(item.type)}</span></td>`,
+    `<td class="size">${formatBytes(item.size)}</td>`,
+    `<td>${escapeHtml(item.date.slice(0, 16).replace('T', ' '))}</td>`,
+    `<td>${item.source ? `<a href="${escapeHtml(item.source)}">Moodle</a>` : ''}</td>`,
+    '</tr>',
+  ].join('')).join('\n');
 
-  if (finalCandidates.length) {
-    logDebug(`✅ Found ${finalCandidates.length} resolved candidates`);
-    return finalCandidates;
-  }
+  const html = [
+    '<!doctype html>',
+    `<html><head><meta charset="utf-8"><title>${escapeHtml(title)} — archive</title><style>${INDEX_CSS}</style></head><body>`,
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p id="count">${items.length} item(s)</p>`,
+    '<div class="controls">',
+    '<input id="q" type="search" placeholder="Filter by title, file, section or type…" autofocus>',
+    `<select id="type"><option value="">All types</option>${options(types)}</select>`,
+    `<select id="section"><option value="">All sections</option>${options(sections)}</select>`,
+    '</div>',
+    '<table><thead><tr><th data-key="title">Activity / file</th><th data-key="order">Section</th><th>Type</th>'
+      + '<th data-key="size" class="size">Size</th><th data-key="date">Saved</th><th>Source</th></tr></thead>',
+    `<tbody>\n${rows}\n</tbody></table>`,
+    `<p class="file">Generated ${escapeHtml(new Date().toISOString())} by download-pdfs.js</p>`,
+    `<script>${INDEX_SCRIPT}</script>`,
+    '</body></html>',
+    '',
+  ].join('\n');
 
-  // Fallback: if no resolved file candidates, allow activity links (legacy behaviour).
-  const fallback = Array.from(candidates);
-  logDebug(`⚠️ Using fallback candidates (${fallback.length})`);
-  return fallback;
+  const indexPath = path.join(OUTPUT_DIR, 'index.html');
+  fs.writeFileSync(`${indexPath}.tmp`, html);
+  fs.renameSync(`${indexPath}.tmp`, indexPath);
+  return { indexPath, count: items.length };
 }
 
 // ---------------------------------------------------------------------
-// Block 10: Main runner
+// Block 9.8: Web-service backend (WS_TOKEN)
+// What: With a web-service token, mod/resource and mod/folder files are
+//       listed by core_course_get_contents (exact filenames, sizes,
+//       timemodified, folder paths) and downloaded from
+//       webservice/pluginfile.php; --course discovery uses the same call
+//       (section names and activity titles straight from the API).
+// Why: the scraper has to guess all of that from the page
+//       (extractCandidatesFromPage + scoreCandidate). What the API doesn't
+//       expose as plain files — pages, URLs, assignments, forums, books,
+//       HTML packages, folder ZIPs — and any per-activity API error fall
+//       back to the browser path. A bad token or disabled web services
+//       switch the backend off for the rest of the run.
+// Outputs, .meta.json and manifest entries are the scraper's (plus
+// source/timemodified/filesize); manifest keys use the plain pluginfile.php
+// URL so switching backends doesn't re-download. Only the request itself
+// carries the token: .meta.json, the manifest, .partial state, the run
+// report and log/error messages get the plain URL (WARC records redact it).
 // ---------------------------------------------------------------------
-(async () => {
-  if (!fs.existsSync(COOKIE_FILE)) {
-    console.error(`❌ Missing ${COOKIE_FILE} in current directory`);
-    process.exit(1);
-  }
+const ws = { disabled: !WS_TOKEN, clients: new Map() };
 
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-  });
+function isWsActivity(urlStr) {
+  return !ws.disabled && /\/mod\/(resource|folder)\/view\.php\?id=\d+/i.test(urlStr);
+}
 
-  const page = await browser.newPage();
+// Site root of a Moodle URL (keeps a sub-directory install's path).
+function wsSiteRoot(urlStr) {
+  if (BASE_URL && urlStr.startsWith(BASE_URL.replace(/\/+$/, ''))) return BASE_URL.replace(/\/+$/, '');
+  const u = new URL(urlStr);
+  return u.origin + u.pathname.replace(/\/(?:mod\/[a-z0-9_]+|course)\/view\.php$/i, '');
+}
 
-  // Load cookies
-  const cookies = JSON.parse(fs.readFileSync(COOKIE_FILE, 'utf-8'));
-  await page.setCookie(...cookies);
+function wsClient(urlStr) {
+  const root = wsSiteRoot(urlStr);
+  if (!ws.clients.has(root)) ws.clients.set(root, createClient(root, WS_TOKEN, { beforeRequest: throttle }));
+  return ws.clients.get(root);
+}
 
-  for (const resourceUrl of urls) {
-    summary.processed += 1;
-    console.log(`\n🌐 Visiting ${resourceUrl}`);
+// Session expiry is the pool's business; everything else means "scrape".
+function wsFailed(err, what) {
+  if (err instanceof SessionExpiredError) throw err;
+  if (err instanceof WsError && err.fatal) {
+    if (!ws.disabled) console.warn(`⚠️ Web services unavailable (${err.message}); scraping from here on`);
+    ws.disabled = true;
+    return;
+  }
+  logDebug(`Web service: ${what}: ${err.message}; falling back to scraping`);
+}
 
-    const rid = getResourceId(resourceUrl);
+// --course discovery through the API; null = use the course page instead.
+async function discoverCourseActivitiesWs(courseUrl) {
+  if (ws.disabled) return null;
+  const courseId = new URL(courseUrl).searchParams.get('id');
+  const client = wsClient(courseUrl);
+  const modules = selectModules(loadModuleRegistry(new URL(courseUrl).origin));
+  console.log(`[INFO] Discovering activities (${modules.map((m) => m.name).join(', ')}) via web services for course ${courseId}`);
 
-    try {
-      const navResponse = await withRetries(() => page.goto(resourceUrl, { waitUntil: 'networkidle2' }));
-
-      const candidates = await extractCandidatesFromPage(page, resourceUrl, navResponse);
-      if (!candidates.length) {
-        console.warn('❌ No downloadable link candidates found');
-        const html = await page.content();
-        fs.writeFileSync(path.join(OUTPUT_DIR, `${rid}-page.html`), html);
-        if (resourceUrl.includes('/mod/page/')) {
-          const mainHtml = await page.$eval('div[role="main"], #region-main', (el) => el.outerHTML).catch(() => '');
-          if (mainHtml) {
-            fs.writeFileSync(path.join(OUTPUT_DIR, `${rid}-page-main.html`), mainHtml);
-            logDebug(`Saved mod/page main HTML fallback for ${rid}`);
-          }
+  let sections;
+  try {
+    sections = await withRetries(() => client.courseContents(courseId));
+  } catch (err) {
+    wsFailed(err, `course ${courseId}`);
+    return null;
+  }
+
+  const found = [];
+  const seen = new Set();
+  sections.forEach((section, index) => {
+    for (const cm of section.modules || []) {
+      if (!cm.url || cm.uservisible === false) continue;
+      client.remember(cm.id, courseId);
+      const u = new URL(cm.url);
+      const rel = `${u.pathname.replace(/^\/+/, '')}${u.search}`;
+      for (const mod of modules) {
+        const m = rel.match(mod.re);
+        if (!m) continue;
+        const canonical = `${u.origin}/${rel.slice(0, m.index + m[0].length)}`;
+        if (!seen.has(canonical)) {
+          seen.add(canonical);
+          found.push({
+            url: canonical,
+            module: mod.name,
+            sectionIndex: Number.isInteger(section.section) ? section.section : index,
+            section: section.name || '',
+            title: cm.name || '',
+          });
         }
-        summary.skipped += 1;
-        continue;
+        break;
       }
+    }
+  });
 
-      const ranked = rankCandidates(candidates, resourceUrl);
-      if (!ranked.length) {
-        console.warn(DOWNLOAD_ALL ? '❌ No suitable link candidates found' : '⏭️ Skipping (no PDF candidates found)');
-        summary.skipped += 1;
-        continue;
-      }
+  logDebug(`Discovered ${found.length} activity URLs via web services`);
+  return found;
+}
 
-      let chosen = null;
+// The course module's entry in its course's contents, or null.
+async function wsCourseModule(resourceUrl, rid) {
+  const client = wsClient(resourceUrl);
+  const courseId = await withRetries(() => client.courseOf(rid));
+  const sections = await withRetries(() => client.courseContents(courseId));
+  for (const section of sections) {
+    const cm = (section.modules || []).find((m) => String(m.id) === String(rid));
+    if (cm) return cm;
+  }
+  return null;
+}
 
-      for (const { href } of ranked) {
-        if (!href || /\/course\/search\.php/i.test(href)) continue;
-        const pf = await withRetries(() => preflight(page, href));
-        if (!pf || !pf.ok) continue;
+// streamDownload() through the token URL. Errors arrive as a JSON body
+// with HTTP 200, so a JSON reply for a non-JSON file counts as a failure.
+function wsDownloader(file) {
+  return async (page, fileUrl, destPath) => {
+    const full = await streamDownload(page, fileUrl, destPath, { requestUrl: wsClient(file.fileurl).downloadUrl(file.fileurl) });
+    if (!full || !full.ok || !/json/i.test(full.ct || '') || /json/i.test(file.mimetype || '')) return full;
+    let err = {};
+    try {
+      err = JSON.parse(fs.readFileSync(destPath, 'utf-8'));
+    } catch {
+      // not an API error after all; treat as a bad download
+    }
+    fs.rmSync(destPath, { force: true });
+    wsFailed(new WsError('webservice/pluginfile.php', err.errorcode, err.error || err.message), file.filename);
+    return { ...full, ok: false };
+  };
+}
 
-        const ctLower = (pf.ct || '').toLowerCase();
-        const clNum = pf.cl ? Number(pf.cl) : NaN;
-        if (!Number.isNaN(clNum) && clNum > MAX_BYTES) continue;
+function wsFileMeta(file) {
+  return {
+    source: 'webservice',
+    timemodified: file.timemodified ? new Date(file.timemodified * 1000).toISOString() : '',
+    filesize: file.filesize,
+    mimetype: file.mimetype || '',
+  };
+}
 
-        if (!DOWNLOAD_ALL) {
-          if (!ctLower.includes('pdf')) continue;
-          chosen = href;
-          break;
-        }
+function wsFileVersion(file) {
+  return `${file.timemodified || 0}:${file.filesize || 0}`;
+}
 
-        const looksZipByUrl = href.toLowerCase().includes('.zip');
-        const prefixBuf = pf.prefix ? Buffer.from(pf.prefix) : null;
-        const zipBySig = prefixBuf ? looksLikeZIP(prefixBuf) : false;
-        const zipByCT = ctLower.includes('zip');
+// Returns false when the browser path should handle the activity.
+async function processWsActivity(page, resourceUrl, rid, target) {
+  let cm;
+  try {
+    cm = await wsCourseModule(resourceUrl, rid);
+  } catch (err) {
+    wsFailed(err, `module ${rid}`);
+    return false;
+  }
+  const files = ((cm && cm.contents) || []).filter((c) => c.type === 'file' && c.fileurl);
+  if (!cm || !files.length) {
+    logDebug(`Web service: no file list for module ${rid}; scraping`);
+    return false;
+  }
+  const entry = reportEntry(resourceUrl);
 
-        if (looksZipByUrl && (zipByCT || zipBySig)) {
-          chosen = href;
-          break;
-        }
+  if (cm.modname === 'folder') {
+    if (FOLDER_MODE === 'zip') return false;
+    entry.backend = 'webservice';
+    const folderRoot = activityRoot(target, rid, 'folder');
+    const entries = files
+      .map((file) => ({
+        file,
+        parts: [...String(file.filepath || '/').split('/'), file.filename]
+          .map((seg) => sanitizeFilename(seg))
+          .filter((seg) => seg && seg !== '.' && seg !== '..'),
+      }))
+      .filter((e) => DOWNLOAD_ALL || e.file.filename.toLowerCase().endsWith('.pdf'));
 
-        chosen = href;
-        break;
-      }
+    if (!entries.length) {
+      console.warn(`⏭️ [${rid}] Skipping folder (no PDF files)`);
+      summary.skipped += 1;
+      settle(resourceUrl, 'skipped', 'no-pdf-candidates');
+      return true;
+    }
 
-      if (!chosen) {
-        console.warn('❌ No downloadable candidate passed preflight checks');
-        summary.skipped += 1;
-        continue;
-      }
+    console.log(`🗂️ [${rid}] Folder with ${entries.length} file(s) (web service) → ${path.relative(OUTPUT_DIR, folderRoot) || '.'}`);
+    for (const { file, parts } of entries) {
+      await saveToPath(page, {
+        rid, resourceUrl, fileUrl: canonicalFileUrl(file.fileurl), outPath: path.join(folderRoot, ...parts), target,
+        extraMeta: { type: 'folder-file', folderPath: parts.join('/'), ...wsFileMeta(file) },
+        download: wsDownloader(file), version: wsFileVersion(file),
+      });
+    }
+    return true;
+  }
 
-      logDebug(`Checking if chosen is HTML package: ${chosen}`);
-      if (isHtmlPackageIndex(chosen)) {
-        logDebug(`✅ Chosen URL looks like index.html HTML package`);
-      } else {
-        logDebug(`❌ Chosen URL is NOT an HTML package`);
-      }
+  // mod/resource: the main file has the highest sortorder.
+  const main = files.reduce((a, b) => ((b.sortorder || 0) > (a.sortorder || 0) ? b : a));
+  // HTML packages need the browser to mirror their assets.
+  if (/html/i.test(main.mimetype || '') || /\.html?$/i.test(main.filename)) return false;
+  entry.backend = 'webservice';
 
-      const full = await withRetries(() => downloadFull(page, chosen));
-      if (!full || !full.ok) {
-        console.warn(`❌ Download failed: HTTP ${full?.status ?? '??'} (${full?.ct ?? 'no content-type'})`);
-        summary.failed += 1;
-        continue;
-      }
+  const isPdf = /pdf/i.test(main.mimetype || '') || main.filename.toLowerCase().endsWith('.pdf');
+  if (!DOWNLOAD_ALL && !isPdf) {
+    console.warn(`⏭️ [${rid}] Skipping (not a PDF: ${main.filename})`);
+    summary.skipped += 1;
+    settle(resourceUrl, 'skipped', 'not-pdf', { contentType: main.mimetype || '' });
+    return true;
+  }
 
-      const buf = Buffer.from(full.data);
-      const ctLower = (full.ct || '').toLowerCase();
+  const fileUrl = canonicalFileUrl(main.fileurl);
+  entry.chosenUrl = fileUrl;
+  const finalName = sanitizeFilename(main.filename);
+  const outName = target.structured
+    ? sanitizeFilename(`${target.stem}${path.extname(finalName)}`)
+    : sanitizeFilename(`${target.stem}-${finalName}`);
+  await saveToPath(page, {
+    rid, resourceUrl, fileUrl, outPath: path.join(target.dir, outName), target,
+    extraMeta: { originalFilename: finalName, ...wsFileMeta(main) },
+    download: wsDownloader(main), version: wsFileVersion(main),
+  });
+  return true;
+}
 
-      // PDF-only mode: enforce real PDF
-      if (!DOWNLOAD_ALL && (!ctLower.includes('pdf') || !looksLikePDF(buf))) {
-        console.warn(`⏭️ Skipping (not a real PDF; ct=${full.ct || 'n/a'})`);
-        summary.skipped += 1;
-        continue;
-      }
+// ---------------------------------------------------------------------
+// Block 9.9: Browser (own or shared)
+// Why: batch.js runs many courses against one browser, so the session
+//       (and any cookies Moodle rotates) carries from course to course.
+// With BROWSER_WS_ENDPOINT we attach to it, and on the way out close only
+// the pages this run opened, then detach.
+// ---------------------------------------------------------------------
+const SHARED_BROWSER = process.env.BROWSER_WS_ENDPOINT || '';
+let sharedPagesBefore = new Set();
 
-      // HTML package
-      if (DOWNLOAD_ALL && isHtmlPackageIndex(chosen) && looksLikeHTML(buf)) {
-        await mirrorHtmlPackage(browser, page, rid, chosen, buf);
-        continue;
-      }
+async function openBrowser() {
+  if (!SHARED_BROWSER) {
+    return puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox'],
+    });
+  }
+  const browser = await puppeteer.connect({ browserWSEndpoint: SHARED_BROWSER });
+  sharedPagesBefore = new Set(await browser.pages());
+  logDebug(`Attached to shared browser (${sharedPagesBefore.size} page(s) already open)`);
+  return browser;
+}
 
-      // Regular file
-      let rawName;
-      try {
-        const u = new URL(chosen);
-        rawName = decodeURIComponent(path.basename(u.pathname || 'download'));
-      } catch {
-        rawName = 'download';
-      }
+async function closeBrowser(browser) {
+  if (!SHARED_BROWSER) {
+    await browser.close();
+    return;
+  }
+  for (const p of await browser.pages()) {
+    if (!sharedPagesBefore.has(p)) await p.close().catch(() => {});
+  }
+  await browser.disconnect();
+}
 
-      const hasExt = /\.[a-z0-9]{1,8}$/i.test(rawName);
-      let ext = hasExt ? '' : extFromContentType(full.ct);
-      if (!hasExt && !ext) ext = DOWNLOAD_ALL ? '.bin' : '.pdf';
+// ---------------------------------------------------------------------
+// Block 10: Main runner
+// ---------------------------------------------------------------------
+(async () => {
+  if (!fs.existsSync(COOKIE_FILE)) {
+    console.error(`❌ Missing ${COOKIE_FILE} in current directory`);
+    process.exit(1);
+  }
 
-      const finalName = hasExt ? sanitizeFilename(rawName) : sanitizeFilename(rawName + ext);
-      const prefixed = sanitizeFilename(`${rid}-${finalName}`);
-      const outPath = uniquePath(OUTPUT_DIR, prefixed);
+  const browser = await openBrowser();
 
-      fs.writeFileSync(outPath, buf);
+  // Every page (workers, harvesters, print views, popups) is recorded.
+  if (WARC) {
+    browser.on('targetcreated', async (t) => {
+      const created = await t.page().catch(() => null);
+      if (created) attachWarcRecorder(created);
+    });
+  }
 
-      // Save optional metadata file
-      const meta = {
-        id: rid,
-        url: stripControlChars(resourceUrl),
-        downloadedFrom: chosen,
-        contentType: full.ct || '',
-        contentLength: full.cl || '',
-      };
-      fs.writeFileSync(outPath + '.meta.json', JSON.stringify(meta, null, 2));
+  const page = await browser.newPage();
+  if (WARC) attachWarcRecorder(page);
 
-      summary.savedFiles += 1;
-      bump(summary.byMime, (full.ct || 'unknown').split(';')[0]);
-      bump(summary.byExt, path.extname(outPath).toLowerCase() || '(no-ext)');
+  // Load cookies
+  await page.setCookie(...loadCookies());
+  session.page = page;
 
-      console.log(`✅ Saved: ${path.basename(outPath)} (${full.ct || 'unknown type'})`);
+  if (COURSE && !resumeState) {
+    try {
+      const courseUrl = resolveCourseUrl(COURSE);
+      const activities = await discoverCourseActivitiesWs(courseUrl) || await discoverCourseActivities(page, courseUrl);
+      urls = activities.map((a) => a.url);
+      for (const a of activities) activityInfo.set(a.url, a);
+      fs.writeFileSync(STRUCTURE_FILE, JSON.stringify({ course: courseUrl, activities }, null, 2));
+      logDebug(`Wrote ${STRUCTURE_FILE}`);
     } catch (err) {
-      summary.failed += 1;
-      console.error(`❌ Failed for ${resourceUrl}: ${err.message}`);
+      console.error(`❌ Course discovery failed: ${err.message}`);
+      await closeBrowser(browser);
+      process.exit(1);
+    }
+    console.log(`[INFO] Found ${urls.length} activity URL(s) on the course page`);
+    if (DISCOVER_ONLY) {
+      fs.writeFileSync(URL_FILE, urls.length ? `${urls.join('\n')}\n` : '');
+      console.log(`[INFO] Wrote ${URL_FILE} and ${STRUCTURE_FILE}`);
+      await closeBrowser(browser);
+      if (WARC) await closeWarc();
+      return;
+    }
+  }
+
+  const workerPages = [page];
+  while (workerPages.length < Math.min(CONCURRENCY, urls.length)) {
+    workerPages.push(await browser.newPage());
+  }
+  logDebug(`Processing ${urls.length} resources with ${workerPages.length} worker page(s)`);
+
+  // A resource interrupted by an expiry is retried once the session is back;
+  // after giving up it is deferred.
+  const deferred = new Set();
+  await runPool(urls, async (resourceUrl, index, workerPage) => {
+    for (;;) {
+      try {
+        await sessionReady();
+      } catch {
+        deferred.add(resourceUrl);
+        return;
+      }
+      console.log(`\n🌐 [${index + 1}/${urls.length}] Visiting ${resourceUrl}`);
+      const tally = { fields: {}, keys: [] };
+      try {
+        await attemptCounts.run(tally, () => processResource(browser, workerPage, resourceUrl));
+        return;
+      } catch (err) {
+        if (!(err instanceof SessionExpiredError)) throw err;
+      }
+      // The retry counts it again.
+      uncount(tally);
+      runReport.delete(resourceUrl);
     }
+  }, workerPages);
+
+  if (deferred.size) {
+    const remaining = urls.filter((u) => deferred.has(u));
+    fs.writeFileSync(RESUME_FILE, JSON.stringify({
+      savedAt: new Date().toISOString(),
+      course: COURSE || (resumeState && resumeState.course) || null,
+      probeUrl: session.probeUrl,
+      urls: remaining,
+      activities: remaining.map((u) => activityInfo.get(u)).filter(Boolean),
+    }, null, 2));
+    for (const u of remaining) settle(u, 'pending', 'session-expired');
+  } else if (fs.existsSync(RESUME_FILE)) {
+    fs.rmSync(RESUME_FILE, { force: true });
   }
 
-  await browser.close();
+  await closeBrowser(browser);
+  if (WARC) await closeWarc();
 
   // ---------------------------------------------------------------------
   // Block 11: End-of-run summary
@@ -821,6 +4381,14 @@ async function extractCandidatesFromPage(page, resourceUrl, navResponse) {
   console.log(`Resources processed: ${summary.processed}`);
   console.log(`Saved files:        ${summary.savedFiles}`);
   console.log(`Saved packages:     ${summary.savedPackages}`);
+  if (UNZIP) console.log(`Extracted ZIPs:     ${summary.extracted}`);
+  if (DEDUP_STORE) {
+    console.log(`Deduplicated:       ${summary.deduplicated} (${formatBytes(summary.dedupSavedBytes)} saved this run)`);
+    const store = storeStats(DEDUP_STORE);
+    console.log(`Dedup store:        ${store.objects} object(s), ${formatBytes(store.bytes)}; ${formatBytes(store.savedBytes)} saved overall`);
+  }
+  console.log(`Unchanged:          ${summary.unchanged}`);
+  console.log(`Updated:            ${summary.updated}`);
   console.log(`Skipped:            ${summary.skipped}`);
   console.log(`Failed:             ${summary.failed}`);
 
@@ -837,5 +4405,33 @@ async function extractCandidatesFromPage(page, resourceUrl, navResponse) {
     for (const [k, v] of byExtSorted) console.log(`  ${v.toString().padStart(5)}  ${k}`);
   }
 
+  if (ARCHIVE_INDEX) {
+    try {
+      const { indexPath, count } = writeArchiveIndex();
+      console.log(`\n🗂️ Archive index: ${path.relative(process.cwd(), indexPath)} (${count} item(s))`);
+    } catch (e) {
+      console.warn(`⚠️ Could not write archive index: ${e.message}`);
+    }
+  }
+
+  if (SEARCH_INDEX) {
+    try {
+      const r = updateIndex(OUTPUT_DIR, { log: logDebug });
+      console.log(`🔎 Search index: +${r.added} ~${r.updated} -${r.removed} file(s), ${r.docs} indexed`);
+      if (r.via.builtin) logDebug(`${r.via.builtin} PDF(s) indexed with the built-in extractor (pdftotext not found)`);
+    } catch (e) {
+      console.warn(`⚠️ Could not update search index: ${e.message}`);
+    }
+  }
+
+  const run = writeRunReport(urls);
+  console.log(`\n[INFO] Run report: ${path.relative(process.cwd(), run.file)}`);
+  if (run.exitCode === 4) {
+    console.log(`🔒 Session expired: ${run.counts.pending} resource(s) not reached — refresh ${COOKIE_FILE}, then run again with --resume (exit status 4)`);
+  } else if (run.exitCode) {
+    console.log(`⚠️ ${run.counts.failed || 0} failed, ${run.counts.partial || 0} partial — exit status ${run.exitCode}`);
+  }
+  process.exitCode = run.exitCode;
+
   console.log('\n🎉 All done.\n');
 })();
@@ -48,6 +48,10 @@ register_module() {
 register_module "resource" "mod\\/resource\\/view\\.php\\?id=\\d+" 1
 register_module "page" "mod\\/page\\/view\\.php\\?id=\\d+" 0
 register_module "url" "mod\\/url\\/view\\.php\\?id=\\d+" 0
+register_module "folder" "mod\\/folder\\/view\\.php\\?id=\\d+" 1
+register_module "assign" "mod\\/assign\\/view\\.php\\?id=\\d+" 0
+register_module "forum" "mod\\/forum\\/view\\.php\\?id=\\d+" 0
+register_module "book" "mod\\/book\\/view\\.php\\?id=\\d+" 0
 
 if [[ -d "${PLUGINS_DIR}" ]]; then
   for plugin in "${PLUGINS_DIR}"/*.sh; do
@@ -73,17 +77,26 @@ usage() {
   cat <<EOF
 Usage:
   $(basename "$0") [--all] [--modules <list>] /path/to/CoursePage.html
+  $(basename "$0") --list-modules
 
 Modes:
-  (default)  Extract only Moodle "resource" links:
+  (default)  Extract Moodle "resource" and "folder" links:
              /mod/resource/view.php?id=####
+             /mod/folder/view.php?id=####
 
   --all      Also extract:
              /mod/page/view.php?id=####
              /mod/url/view.php?id=####
+             /mod/assign/view.php?id=####
+             /mod/forum/view.php?id=####
+             /mod/book/view.php?id=####
 
   --modules  Comma-separated list of module names to extract.
 
+  --list-modules
+             Print the module registry (name, pattern, default flag) as
+             tab-separated lines and exit. Used by download-pdfs.js --course.
+
 Output:
   ${OUT_FILE}
 
@@ -102,6 +115,7 @@ EOF
 MODE_ALL=0
 HTML_PATH=""
 MODULES=""
+LIST_MODULES=0
 
 while [[ $# -gt 0 ]]; do
   case "${1:-}" in
@@ -113,6 +127,10 @@ while [[ $# -gt 0 ]]; do
       MODULES="${2:-}"
       shift 2
       ;;
+    --list-modules)
+      LIST_MODULES=1
+      shift
+      ;;
     -h|--help)
       usage
       exit 0
@@ -129,6 +147,23 @@ while [[ $# -gt 0 ]]; do
   esac
 done
 
+# ---------------------------------------------------------------------
+# Block 1.1: Registry listing
+# What: Print registered modules as "name<TAB>pattern<TAB>default".
+# Why: download-pdfs.js discovers activities on the live course page and
+#      must honour the same registry (built-ins + plugins).
+# ---------------------------------------------------------------------
+if [[ "${LIST_MODULES}" -eq 1 ]]; then
+  for name in "${MODULE_NAMES[@]}"; do
+    is_default=0
+    for d in "${DEFAULT_MODULES[@]}"; do
+      [[ "${d}" == "${name}" ]] && is_default=1
+    done
+    printf '%s\t%s\t%s\n' "${name}" "${MODULE_PATTERNS[${name}]}" "${is_default}"
+  done
+  exit 0
+fi
+
 if [[ -z "${HTML_PATH}" ]]; then
   usage
   die "No HTML file provided."
@@ -170,6 +205,7 @@ trap cleanup EXIT
 #       /mod/resource/view.php?id=####
 #       /mod/page/view.php?id=####
 #       /mod/url/view.php?id=####
+#       /mod/folder/view.php?id=####
 # Why:
 #   - Saved Moodle HTML contains a mix of absolute/relative links and JS strings.
 #   - We canonicalize everything into clean absolute URLs and dedupe.
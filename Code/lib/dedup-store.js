@@ -0,0 +1,105 @@
+/**
+ * lib/dedup-store.js
+ *
+ * Content-addressed store for deduplicating archive files: one copy per
+ * SHA-256 under <store>/objects/<first 2 hex>/<sha256>, and every file in
+ * the output trees with that content becomes a hardlink to it. Where a
+ * hardlink can't be made (another filesystem, no permission), the file
+ * simply stays a copy.
+ *
+ *   addToStore(storeDir, file, sha256)
+ *     -> { result: 'stored' | 'linked' | 'copied', bytes, saved }
+ *     stored  first time this content is seen (the file is linked into the
+ *             store, or copied there when linking fails)
+ *     linked  content already stored; the file is now a link to it (saved = bytes)
+ *     copied  content already stored but linking failed; the file is untouched
+ *   storeStats(storeDir, { prune })
+ *     -> { objects, bytes, links, unlinked, savedBytes, pruned }
+ *     Worked out from link counts, so it covers every course and run that
+ *     shares the store. unlinked objects have no archive file linked to them
+ *     (copy fallback, or every link was replaced); prune removes those.
+ *
+ * Linked files share one inode: editing one in place edits them all.
+ * Replacing a file (what re-downloads do) only detaches that one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LINK_ERRORS = new Set(['EXDEV', 'EPERM', 'EACCES', 'ENOTSUP', 'EMLINK', 'ENOSYS']);
+
+function objectPath(storeDir, sha256) {
+  return path.join(storeDir, 'objects', sha256.slice(0, 2), sha256);
+}
+
+function tryLink(from, to) {
+  try {
+    fs.linkSync(from, to);
+    return true;
+  } catch (e) {
+    if (LINK_ERRORS.has(e.code)) return false;
+    throw e;
+  }
+}
+
+function sameInode(a, b) {
+  return a.ino === b.ino && a.dev === b.dev;
+}
+
+function addToStore(storeDir, file, sha256) {
+  if (!/^[0-9a-f]{64}$/.test(sha256 || '')) throw new Error(`not a SHA-256: ${sha256}`);
+  const object = objectPath(storeDir, sha256);
+  const st = fs.statSync(file);
+
+  if (!fs.existsSync(object)) {
+    fs.mkdirSync(path.dirname(object), { recursive: true });
+    if (!tryLink(file, object)) {
+      const tmp = `${object}.tmp-${process.pid}`;
+      fs.copyFileSync(file, tmp);
+      fs.renameSync(tmp, object);
+    }
+    return { result: 'stored', bytes: st.size, saved: 0 };
+  }
+
+  const obj = fs.statSync(object);
+  if (sameInode(st, obj)) return { result: 'linked', bytes: st.size, saved: 0 };
+  // A name collision with different bytes would mean a damaged object.
+  if (obj.size !== st.size) throw new Error(`store object ${object} is ${obj.size} bytes, ${file} is ${st.size}`);
+
+  const tmp = `${file}.dedup-tmp`;
+  fs.rmSync(tmp, { force: true });
+  if (!tryLink(object, tmp)) return { result: 'copied', bytes: st.size, saved: 0 };
+  fs.renameSync(tmp, file);
+  return { result: 'linked', bytes: st.size, saved: st.size };
+}
+
+function storeStats(storeDir, { prune = false } = {}) {
+  const stats = { objects: 0, bytes: 0, links: 0, unlinked: 0, savedBytes: 0, pruned: 0 };
+  const root = path.join(storeDir, 'objects');
+  if (!fs.existsSync(root)) return stats;
+
+  for (const shard of fs.readdirSync(root)) {
+    for (const name of fs.readdirSync(path.join(root, shard))) {
+      const object = path.join(root, shard, name);
+      const st = fs.statSync(object);
+      if (!st.isFile()) continue;
+      // nlink counts the store's own entry; the rest are archive files.
+      const links = st.nlink - 1;
+      if (links === 0) {
+        if (prune) {
+          fs.rmSync(object);
+          stats.pruned += 1;
+          continue;
+        }
+        stats.unlinked += 1;
+      }
+      stats.objects += 1;
+      stats.bytes += st.size;
+      stats.links += links;
+      if (links > 1) stats.savedBytes += st.size * (links - 1);
+    }
+  }
+  return stats;
+}
+
+module.exports = { addToStore, storeStats, objectPath };
@@ -0,0 +1,218 @@
+/**
+ * lib/integrity.js
+ *
+ * Content checks for saved files, shared by download-pdfs.js (right after
+ * each download) and verify.js (a whole archive, later).
+ *
+ *   structureProblem(file) -> null | "why it's broken"
+ *     PDFs (by %PDF- header): %%EOF near the end and a startxref.
+ *     ZIPs (by PK header): end-of-central-directory record (zip64 too)
+ *     pointing at a central directory that is really there.
+ *     Anything else: null (no structure to check).
+ *   structureKind(head) -> 'pdf' | 'zip' | null, from the first bytes
+ *   sha256File(file) -> hex digest
+ *   verifyArchive(archiveDir, { hash }) -> { checked, problems }
+ *     Every file with a .meta.json sidecar is compared against it (exists,
+ *     size, SHA-256) and structure-checked; files listed by an unpacked
+ *     ZIP's sidecar (contents) must exist at their size; manifest entries
+ *     whose file is gone are reported as missing.
+ *     problems: [{ path, problem, detail }]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SKIP_DIRS = new Set(['_versions', '_warc', '_reports', '.partial', '.search-index']);
+const MANIFEST_NAME = '.sync-manifest.json';
+const PDF_TAIL_BYTES = 4096; // readers accept %%EOF a little before the end
+const ZIP_EOCD_MAX = 22 + 0xffff; // EOCD record + longest comment
+
+// Download shorter ("truncated") or longer ("length-mismatch") than the
+// server said. A structure problem is not an error: the file is kept and
+// structureProblem() reports it.
+class IntegrityError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.reason = reason;
+  }
+}
+
+function readAt(fd, position, length) {
+  const buf = Buffer.alloc(Math.max(0, length));
+  const n = fs.readSync(fd, buf, 0, buf.length, position);
+  return buf.subarray(0, n);
+}
+
+function pdfProblem(fd, size) {
+  const tail = readAt(fd, Math.max(0, size - PDF_TAIL_BYTES), Math.min(size, PDF_TAIL_BYTES)).toString('latin1');
+  if (!tail.includes('%%EOF')) return 'PDF has no %%EOF marker (truncated?)';
+  if (!tail.includes('startxref')) return 'PDF has no startxref before %%EOF';
+  return null;
+}
+
+function zipProblem(fd, size) {
+  const tailStart = Math.max(0, size - ZIP_EOCD_MAX);
+  const tail = readAt(fd, tailStart, size - tailStart);
+  const at = tail.lastIndexOf(Buffer.from('PK\x05\x06', 'latin1'));
+  if (at === -1 || at + 22 > tail.length) return 'ZIP has no end-of-central-directory record (truncated?)';
+  const eocdPos = tailStart + at;
+
+  let entries = tail.readUInt16LE(at + 10);
+  let cdSize = tail.readUInt32LE(at + 12);
+  let cdOffset = tail.readUInt32LE(at + 16);
+  if (cdOffset === 0xffffffff || cdSize === 0xffffffff || entries === 0xffff) {
+    const loc = readAt(fd, eocdPos - 20, 20);
+    if (eocdPos < 20 || loc.readUInt32LE(0) !== 0x07064b50) return 'ZIP64 locator missing';
+    const rec = readAt(fd, Number(loc.readBigUInt64LE(8)), 56);
+    if (rec.length < 56 || rec.readUInt32LE(0) !== 0x06064b50) return 'ZIP64 end-of-central-directory record missing';
+    entries = Number(rec.readBigUInt64LE(32));
+    cdSize = Number(rec.readBigUInt64LE(40));
+    cdOffset = Number(rec.readBigUInt64LE(48));
+  }
+  if (cdOffset + cdSize > eocdPos) return 'ZIP central directory points past the end of the file';
+  if (entries > 0 && readAt(fd, cdOffset, 4).readUInt32LE(0) !== 0x02014b50) {
+    return 'ZIP central directory is not where the end record says';
+  }
+  return null;
+}
+
+// Readers allow junk before %PDF-, so look through the first KB.
+function structureKind(head) {
+  if (head.indexOf('%PDF-', 0, 'latin1') !== -1) return 'pdf';
+  if (head.length >= 4 && head[0] === 0x50 && head[1] === 0x4b && (head[2] === 3 || head[2] === 5)) return 'zip';
+  return null;
+}
+
+function structureProblem(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const kind = structureKind(readAt(fd, 0, 1024));
+    if (kind === 'pdf') return pdfProblem(fd, size);
+    if (kind === 'zip') return zipProblem(fd, size);
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function sha256File(file) {
+  const hash = crypto.createHash('sha256');
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buf = Buffer.alloc(1024 * 1024);
+    let n;
+    while ((n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) hash.update(buf.subarray(0, n));
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+
+// ---------------------------------------------------------------------
+// Whole-archive verification
+// ---------------------------------------------------------------------
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function listSidecars(root) {
+  const out = [];
+  const walk = (dir) => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        if (!SKIP_DIRS.has(dirent.name)) walk(full);
+      } else if (dirent.name.endsWith('.meta.json')) {
+        out.push(full);
+      }
+    }
+  };
+  walk(root);
+  return out.sort();
+}
+
+// Older sidecars only have the server's content-length. That can be the
+// compressed size, so it only proves truncation (fewer bytes), never excess.
+function sizeProblem(meta, actual) {
+  if (Number.isInteger(meta.size)) {
+    if (actual === meta.size) return null;
+    return [actual < meta.size ? 'truncated' : 'size-mismatch', `${actual} bytes on disk, ${meta.size} expected`];
+  }
+  const cl = Number(meta.contentLength);
+  if (meta.contentLength && Number.isInteger(cl) && actual < cl) {
+    return ['truncated', `${actual} bytes on disk, server sent content-length ${cl}`];
+  }
+  return null;
+}
+
+function verifyArchive(archiveDir, { hash = true } = {}) {
+  const root = path.resolve(archiveDir);
+  const problems = [];
+  const seen = new Set();
+  let checked = 0;
+  const report = (file, problem, detail) => problems.push({ path: path.relative(root, file), problem, detail });
+
+  for (const sidecar of listSidecars(root)) {
+    const file = sidecar.slice(0, -'.meta.json'.length);
+    const meta = readJson(sidecar);
+    seen.add(file);
+    if (!meta) {
+      report(sidecar, 'bad-meta', 'sidecar is not valid JSON');
+      continue;
+    }
+    if (!fs.existsSync(file)) {
+      report(file, 'missing', 'listed in .meta.json but not on disk');
+      continue;
+    }
+    const st = fs.statSync(file);
+    if (st.isDirectory()) {
+      // Unpacked ZIPs list their files; mirrored packages have nothing to check.
+      for (const item of Array.isArray(meta.contents) ? meta.contents : []) {
+        const inner = path.join(file, item.path);
+        checked += 1;
+        if (!fs.existsSync(inner)) report(inner, 'missing', `listed in ${path.basename(sidecar)} but not on disk`);
+        else if (fs.statSync(inner).size !== item.size) report(inner, 'size-mismatch', `${fs.statSync(inner).size} bytes on disk, ${item.size} when unpacked`);
+      }
+      continue;
+    }
+    checked += 1;
+
+    const sizeIssue = sizeProblem(meta, st.size);
+    if (sizeIssue) {
+      report(file, ...sizeIssue);
+      continue;
+    }
+    if (hash && meta.sha256 && sha256File(file) !== meta.sha256) {
+      report(file, 'checksum-mismatch', 'SHA-256 differs from .meta.json');
+      continue;
+    }
+    const problem = structureProblem(file);
+    if (problem) report(file, 'corrupt', problem);
+  }
+
+  const manifest = readJson(path.join(root, MANIFEST_NAME));
+  for (const entry of Object.values((manifest && manifest.entries) || {})) {
+    if (!entry.path) continue;
+    const file = path.join(root, entry.path);
+    if (seen.has(file) || fs.existsSync(file)) continue;
+    seen.add(file);
+    report(file, 'missing', `in ${MANIFEST_NAME} (${entry.url || entry.resolvedUrl || 'unknown source'})`);
+  }
+
+  return { checked, problems };
+}
+
+module.exports = {
+  IntegrityError,
+  structureKind,
+  structureProblem,
+  sha256File,
+  verifyArchive,
+};
@@ -0,0 +1,145 @@
+/**
+ * lib/moodle-ws.js
+ *
+ * Minimal client for Moodle's web-service REST API (the one the Moodle
+ * mobile app uses). Needs a user token: Preferences → Security keys on the
+ * site, or login/token.php where password logins are allowed.
+ *
+ *   createClient(baseUrl, token, { beforeRequest }) -> client
+ *     client.call(wsfunction, params)   raw call, throws WsError on API errors
+ *     client.courseContents(courseId)   core_course_get_contents (cached)
+ *     client.courseOf(cmid)             course id of a course module (cached)
+ *     client.remember(cmid, courseId)   seed that cache (e.g. from discovery)
+ *     client.downloadUrl(fileurl)       fileurl with the token attached
+ *   canonicalFileUrl(fileurl) -> the session-cookie pluginfile.php URL
+ *   redactToken(url) -> url with token/wstoken replaced
+ *
+ * Errors come back as HTTP 200 + { exception, errorcode, message }; they
+ * are thrown as WsError so callers can tell "not allowed / not exposed"
+ * (fall back to scraping) from network trouble (retry).
+ */
+
+const REQUEST_TIMEOUT_MS = 60000;
+
+// Token or site-wide problems: no point trying further calls.
+const FATAL_CODES = new Set([
+  'invalidtoken',
+  'accessexception',
+  'webservicesnotenabled',
+  'enablewsdescription',
+  'servicenotavailable',
+  'sitemaintenance',
+]);
+
+class WsError extends Error {
+  constructor(wsfunction, errorcode, message) {
+    super(`${wsfunction}: ${message || errorcode}${errorcode ? ` (${errorcode})` : ''}`);
+    this.name = 'WsError';
+    this.wsfunction = wsfunction;
+    this.errorcode = errorcode || '';
+    this.fatal = FATAL_CODES.has(this.errorcode);
+  }
+}
+
+function siteRoot(baseUrl) {
+  return String(baseUrl).replace(/\/+$/, '');
+}
+
+// Moodle's form encoding for nested params: options[0][name]=x
+function flattenParams(value, prefix, out) {
+  if (value === undefined || value === null) return out;
+  if (Array.isArray(value)) {
+    value.forEach((v, i) => flattenParams(v, `${prefix}[${i}]`, out));
+  } else if (typeof value === 'object') {
+    for (const [k, v] of Object.entries(value)) flattenParams(v, prefix ? `${prefix}[${k}]` : k, out);
+  } else {
+    out.append(prefix, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+  }
+  return out;
+}
+
+async function postJson(url, form) {
+  const resp = await fetch(url, {
+    method: 'POST',
+    body: form,
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status} from ${redactToken(url)}`);
+  return resp.json();
+}
+
+function createClient(baseUrl, token, { beforeRequest = async () => {} } = {}) {
+  const endpoint = `${siteRoot(baseUrl)}/webservice/rest/server.php`;
+  const contents = new Map();
+  const courses = new Map();
+
+  async function call(wsfunction, params = {}) {
+    await beforeRequest(endpoint);
+    const form = flattenParams(params, '', new URLSearchParams({
+      wstoken: token,
+      wsfunction,
+      moodlewsrestformat: 'json',
+    }));
+    const data = await postJson(endpoint, form);
+    if (data && typeof data === 'object' && data.exception) {
+      throw new WsError(wsfunction, data.errorcode, data.message);
+    }
+    return data;
+  }
+
+  // One request per course, shared by every activity in it. A failed
+  // lookup is forgotten so a later resource can retry it.
+  function courseContents(courseId) {
+    const key = String(courseId);
+    if (!contents.has(key)) {
+      contents.set(key, call('core_course_get_contents', { courseid: courseId }).catch((e) => {
+        contents.delete(key);
+        throw e;
+      }));
+    }
+    return contents.get(key);
+  }
+
+  async function courseOf(cmid) {
+    const key = String(cmid);
+    if (!courses.has(key)) {
+      const { cm } = await call('core_course_get_course_module', { cmid });
+      courses.set(key, cm.course);
+    }
+    return courses.get(key);
+  }
+
+  function remember(cmid, courseId) {
+    courses.set(String(cmid), courseId);
+  }
+
+  function downloadUrl(fileurl) {
+    const u = new URL(fileurl);
+    u.searchParams.set('token', token);
+    return u.toString();
+  }
+
+  return { call, courseContents, courseOf, remember, downloadUrl };
+}
+
+// The same file as the browser sees it: /pluginfile.php/... without the
+// web-service prefix or forcedownload, so manifest keys match scraped runs.
+function canonicalFileUrl(fileurl) {
+  const u = new URL(fileurl);
+  u.pathname = u.pathname.replace(/\/webservice\/pluginfile\.php\//, '/pluginfile.php/');
+  u.searchParams.delete('forcedownload');
+  u.searchParams.delete('token');
+  return u.toString();
+}
+
+function redactToken(urlStr) {
+  return String(urlStr).replace(/([?&](?:ws)?token=)[^&#]*/gi, '$1REDACTED');
+}
+
+module.exports = {
+  WsError,
+  createClient,
+  canonicalFileUrl,
+  redactToken,
+};
@@ -0,0 +1,452 @@
+/**
+ * lib/pdf-text.js
+ *
+ * Extracts the text of a PDF, one string per page.
+ *
+ * Uses poppler's `pdftotext` when it is installed (best layout and font
+ * support). Otherwise falls back to a small built-in reader that covers
+ * what course PDFs usually need: Flate-compressed content streams, object
+ * streams, inherited page resources, form XObjects and ToUnicode CMaps.
+ * Encrypted PDFs and fonts without a usable encoding yield little or no text.
+ *
+ *   extractPdfPages(file) -> { pages: string[], via: 'pdftotext' | 'builtin' }
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+
+let pdftotextMissing = false;
+
+function extractPdfPages(file) {
+  if (!pdftotextMissing) {
+    try {
+      const out = execFileSync('pdftotext', ['-enc', 'UTF-8', '-layout', file, '-'], {
+        maxBuffer: 512 * 1024 * 1024,
+        timeout: 120000,
+        stdio: ['ignore', 'pipe', 'ignore'],
+      });
+      const pages = out.toString('utf8').split('\f');
+      if (pages.length > 1 && !pages[pages.length - 1].trim()) pages.pop();
+      return { pages, via: 'pdftotext' };
+    } catch (e) {
+      if (e.code === 'ENOENT') pdftotextMissing = true;
+      // Otherwise pdftotext choked on this file; the built-in reader may cope.
+    }
+  }
+  return { pages: builtinPages(fs.readFileSync(file)), via: 'builtin' };
+}
+
+// ---------------------------------------------------------------------
+// Lexer / object parser (PDF syntax, ISO 32000 §7.2–7.3)
+// Sources are latin1 strings so that one char == one byte.
+// ---------------------------------------------------------------------
+const WS = new Set(['\0', '\t', '\n', '\f', '\r', ' ']);
+const DELIM = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+function lexer(src, start = 0) {
+  let pos = start;
+
+  const skip = () => {
+    while (pos < src.length) {
+      const c = src[pos];
+      if (WS.has(c)) pos += 1;
+      else if (c === '%') while (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') pos += 1;
+      else break;
+    }
+  };
+
+  const literal = () => {
+    let depth = 1;
+    let out = '';
+    pos += 1;
+    while (pos < src.length && depth) {
+      const c = src[pos++];
+      if (c === '\\') {
+        const n = src[pos++];
+        const map = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        if (map[n]) out += map[n];
+        else if (n >= '0' && n <= '7') {
+          let oct = n;
+          while (oct.length < 3 && src[pos] >= '0' && src[pos] <= '7') oct += src[pos++];
+          out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+        } else if (n === '\r') {
+          if (src[pos] === '\n') pos += 1;
+        } else if (n !== '\n') out += n;
+      } else if (c === '(') {
+        depth += 1;
+        out += c;
+      } else if (c === ')') {
+        depth -= 1;
+        if (depth) out += c;
+      } else out += c;
+    }
+    return out;
+  };
+
+  const hex = () => {
+    const end = src.indexOf('>', pos);
+    let digits = src.slice(pos + 1, end < 0 ? src.length : end).replace(/[^0-9a-f]/gi, '');
+    pos = end < 0 ? src.length : end + 1;
+    if (digits.length % 2) digits += '0';
+    return Buffer.from(digits, 'hex').toString('latin1');
+  };
+
+  const next = () => {
+    skip();
+    if (pos >= src.length) return null;
+    const c = src[pos];
+    if (c === '(') return { t: 'str', v: literal() };
+    if (c === '<') {
+      if (src[pos + 1] === '<') {
+        pos += 2;
+        return { t: '<<' };
+      }
+      return { t: 'str', v: hex() };
+    }
+    if (c === '>' && src[pos + 1] === '>') {
+      pos += 2;
+      return { t: '>>' };
+    }
+    if (c === '[' || c === ']' || c === '{' || c === '}') {
+      pos += 1;
+      return { t: c };
+    }
+    if (c === '/') {
+      pos += 1;
+      let name = '';
+      while (pos < src.length && !WS.has(src[pos]) && !DELIM.has(src[pos])) name += src[pos++];
+      return { t: 'name', v: name.replace(/#([0-9a-f]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16))) };
+    }
+    let word = '';
+    while (pos < src.length && !WS.has(src[pos]) && !DELIM.has(src[pos])) word += src[pos++];
+    if (!word) {
+      pos += 1; // stray delimiter such as ')' or '>'
+      return { t: 'op', v: c };
+    }
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { t: 'num', v: Number(word) };
+    return { t: 'op', v: word };
+  };
+
+  return {
+    next,
+    get pos() { return pos; },
+    set pos(p) { pos = p; },
+  };
+}
+
+// Parse one value; indirect references become { ref: n }.
+function parseValue(lex, tok = lex.next()) {
+  if (!tok) return null;
+  if (tok.t === 'num') {
+    const save = lex.pos;
+    const gen = lex.next();
+    const r = gen && gen.t === 'num' ? lex.next() : null;
+    if (r && r.t === 'op' && r.v === 'R' && Number.isInteger(tok.v)) return { ref: tok.v };
+    lex.pos = save;
+    return tok.v;
+  }
+  if (tok.t === 'str' || tok.t === 'name') return tok.t === 'name' ? { name: tok.v } : tok.v;
+  if (tok.t === '[') {
+    const arr = [];
+    for (let t = lex.next(); t && t.t !== ']'; t = lex.next()) arr.push(parseValue(lex, t));
+    return arr;
+  }
+  if (tok.t === '<<') {
+    const dict = {};
+    for (let t = lex.next(); t && t.t !== '>>'; t = lex.next()) {
+      if (t.t !== 'name') continue;
+      dict[t.v] = parseValue(lex);
+    }
+    return dict;
+  }
+  if (tok.t === 'op') {
+    if (tok.v === 'true') return true;
+    if (tok.v === 'false') return false;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------
+// Object table
+// ---------------------------------------------------------------------
+function inflate(data) {
+  try {
+    return zlib.inflateSync(data);
+  } catch {
+    try {
+      // Tolerate truncated streams / trailing garbage.
+      return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } catch {
+      return null;
+    }
+  }
+}
+
+function decodeStream(obj) {
+  if (!obj || !obj.stream) return null;
+  const filter = obj.dict.Filter;
+  const filters = (Array.isArray(filter) ? filter : filter ? [filter] : []).map((f) => f && f.name);
+  let data = obj.stream;
+  for (const f of filters) {
+    if (f === 'FlateDecode' || f === 'Fl') data = inflate(data);
+    else return null; // LZW/ASCII85/DCT/…: not text we can read here
+    if (!data) return null;
+  }
+  return data;
+}
+
+function readObjects(buf) {
+  const src = buf.toString('latin1');
+  const objects = new Map();
+  const re = /(\d+)\s+\d+\s+obj\b/g;
+  let m;
+
+  while ((m = re.exec(src))) {
+    const lex = lexer(src, re.lastIndex);
+    const dict = parseValue(lex);
+    const after = lexer(src, lex.pos);
+    const tok = after.next();
+    let stream = null;
+
+    if (tok && tok.t === 'op' && tok.v === 'stream') {
+      let start = after.pos;
+      if (src[start] === '\r') start += 1;
+      if (src[start] === '\n') start += 1;
+      let end = -1;
+      if (dict && Number.isInteger(dict.Length) && /^\s*endstream/.test(src.slice(start + dict.Length, start + dict.Length + 16))) {
+        end = start + dict.Length;
+      } else {
+        end = src.indexOf('endstream', start);
+      }
+      if (end < 0) break;
+      stream = buf.subarray(start, end);
+      re.lastIndex = end;
+    } else {
+      re.lastIndex = lex.pos;
+    }
+    // Later definitions (incremental updates) win.
+    objects.set(Number(m[1]), { dict: dict && typeof dict === 'object' && !Array.isArray(dict) ? dict : {}, value: dict, stream });
+  }
+
+  // Compressed object streams (PDF 1.5+) hold dictionaries such as pages.
+  for (const obj of Array.from(objects.values())) {
+    if (!obj.dict.Type || obj.dict.Type.name !== 'ObjStm') continue;
+    const data = decodeStream(obj);
+    if (!data) continue;
+    const text = data.toString('latin1');
+    const first = obj.dict.First;
+    const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i + 1 < header.length; i += 2) {
+      const num = header[i];
+      if (objects.has(num)) continue;
+      const value = parseValue(lexer(text, first + header[i + 1]));
+      objects.set(num, { dict: value && typeof value === 'object' && !Array.isArray(value) ? value : {}, value, stream: null });
+    }
+  }
+  return objects;
+}
+
+function resolver(objects) {
+  const resolve = (v, depth = 0) => {
+    if (v && typeof v === 'object' && 'ref' in v && depth < 32) {
+      const obj = objects.get(v.ref);
+      return obj ? resolve(obj.value, depth + 1) : null;
+    }
+    return v;
+  };
+  return resolve;
+}
+
+// ---------------------------------------------------------------------
+// Fonts: ToUnicode CMaps (bfchar / bfrange) or a single-byte fallback
+// ---------------------------------------------------------------------
+const utf16 = new TextDecoder('utf-16be');
+
+function hexToUnicode(h) {
+  const clean = h.replace(/[^0-9a-f]/gi, '');
+  return utf16.decode(Buffer.from(clean.length % 4 ? clean.padStart(Math.ceil(clean.length / 4) * 4, '0') : clean, 'hex'));
+}
+
+function parseToUnicode(text) {
+  const map = new Map();
+  let bytes = 0;
+  const cs = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(text);
+  if (cs) bytes = Math.ceil(cs[1].length / 2);
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/gi)) {
+    for (const m of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      map.set(parseInt(m[1], 16), hexToUnicode(m[2]));
+      if (!bytes) bytes = Math.ceil(m[1].length / 2);
+    }
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/gi)) {
+    for (const m of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+      const lo = parseInt(m[1], 16);
+      const hi = parseInt(m[2], 16);
+      if (!bytes) bytes = Math.ceil(m[1].length / 2);
+      if (m[3].startsWith('[')) {
+        const dsts = Array.from(m[3].matchAll(/<([0-9a-f]*)>/gi)).map((d) => hexToUnicode(d[1]));
+        for (let c = lo; c <= hi && c - lo < dsts.length; c++) map.set(c, dsts[c - lo]);
+      } else {
+        const base = m[3].slice(1, -1);
+        const start = hexToUnicode(base);
+        const head = start.slice(0, -1);
+        const last = start.codePointAt(start.length - 1) || 0;
+        for (let c = lo; c <= hi && c - lo < 65536; c++) map.set(c, head + String.fromCodePoint(last + (c - lo)));
+      }
+    }
+  }
+  return { map, bytes: bytes || 1 };
+}
+
+function fontDecoder(font, resolve, objects) {
+  const f = resolve(font) || {};
+  const cmapRef = f.ToUnicode;
+  const composite = f.Subtype && f.Subtype.name === 'Type0';
+  if (cmapRef && cmapRef.ref !== undefined) {
+    const data = decodeStream(objects.get(cmapRef.ref));
+    if (data) {
+      const { map, bytes } = parseToUnicode(data.toString('latin1'));
+      return (s) => {
+        let out = '';
+        for (let i = 0; i + bytes <= s.length; i += bytes) {
+          let code = 0;
+          for (let k = 0; k < bytes; k++) code = code * 256 + s.charCodeAt(i + k);
+          out += map.has(code) ? map.get(code) : '';
+        }
+        return out;
+      };
+    }
+  }
+  // Identity-H without ToUnicode carries glyph ids, not characters.
+  if (composite) return () => '';
+  return (s) => s.replace(/[\x00-\x08\x0e-\x1f]/g, '');
+}
+
+// ---------------------------------------------------------------------
+// Content streams → text
+// ---------------------------------------------------------------------
+function contentText(data, resources, ctx, depth = 0) {
+  const { resolve, objects } = ctx;
+  const res = resolve(resources) || {};
+  const fonts = resolve(res.Font) || {};
+  const xobjects = resolve(res.XObject) || {};
+  const decoders = new Map();
+  let decode = (s) => s.replace(/[\x00-\x08\x0e-\x1f]/g, '');
+  let out = '';
+  const newline = () => {
+    if (out && !out.endsWith('\n')) out += '\n';
+  };
+  const space = () => {
+    if (out && !/\s$/.test(out)) out += ' ';
+  };
+
+  const src = data.toString('latin1');
+  const lex = lexer(src);
+  let operands = [];
+  for (let tok = lex.next(); tok; tok = lex.next()) {
+    if (tok.t !== 'op') {
+      operands.push(parseValue(lex, tok));
+      continue;
+    }
+    const op = tok.v;
+    if (op === 'BI') {
+      // Inline image: skip binary data up to "EI".
+      const ei = src.slice(lex.pos).search(/\sEI\s/);
+      lex.pos = ei < 0 ? src.length : lex.pos + ei + 4;
+    } else if (op === 'Tf') {
+      const name = operands[0] && operands[0].name;
+      if (!decoders.has(name)) decoders.set(name, fontDecoder(fonts[name], resolve, objects));
+      decode = decoders.get(name);
+    } else if (op === 'Tj') {
+      if (typeof operands[0] === 'string') out += decode(operands[0]);
+    } else if (op === "'" || op === '"') {
+      newline();
+      const s = operands[operands.length - 1];
+      if (typeof s === 'string') out += decode(s);
+    } else if (op === 'TJ') {
+      for (const part of operands[0] || []) {
+        if (typeof part === 'string') out += decode(part);
+        else if (typeof part === 'number' && part < -200) space();
+      }
+    } else if (op === 'T*' || op === 'ET') {
+      newline();
+    } else if (op === 'Td' || op === 'TD') {
+      if (operands[1]) newline();
+      else if (operands[0] > 0) space();
+    } else if (op === 'Tm') {
+      newline();
+    } else if (op === 'Do' && depth < 4) {
+      const name = operands[0] && operands[0].name;
+      const ref = xobjects[name];
+      const obj = ref && ref.ref !== undefined ? objects.get(ref.ref) : null;
+      if (obj && obj.dict.Subtype && obj.dict.Subtype.name === 'Form') {
+        const inner = decodeStream(obj);
+        if (inner) {
+          newline();
+          out += contentText(inner, obj.dict.Resources || resources, ctx, depth + 1);
+        }
+      }
+    }
+    operands = [];
+  }
+  return out;
+}
+
+function pageNodes(objects, resolve) {
+  let catalog = null;
+  for (const obj of objects.values()) {
+    if (obj.dict.Type && obj.dict.Type.name === 'Catalog') catalog = obj.dict;
+  }
+
+  const pages = [];
+  const seen = new Set();
+  const walk = (ref, inherited) => {
+    if (!ref || ref.ref === undefined || seen.has(ref.ref)) return;
+    seen.add(ref.ref);
+    const node = resolve(ref);
+    if (!node) return;
+    const resources = node.Resources || inherited;
+    if (node.Type && node.Type.name === 'Pages') {
+      for (const kid of resolve(node.Kids) || []) walk(kid, resources);
+    } else {
+      pages.push({ node, resources });
+    }
+  };
+  if (catalog) walk(catalog.Pages, null);
+
+  // No usable page tree: take page objects in object-number order.
+  if (!pages.length) {
+    const nums = Array.from(objects.keys()).sort((a, b) => a - b);
+    for (const n of nums) {
+      const obj = objects.get(n);
+      if (obj.dict.Type && obj.dict.Type.name === 'Page') pages.push({ node: obj.dict, resources: obj.dict.Resources });
+    }
+  }
+  return pages;
+}
+
+function builtinPages(buf) {
+  const objects = readObjects(buf);
+  const resolve = resolver(objects);
+  const ctx = { resolve, objects };
+  return pageNodes(objects, resolve).map(({ node, resources }) => {
+    const contents = Array.isArray(resolve(node.Contents)) ? resolve(node.Contents) : [node.Contents];
+    const parts = contents
+      .filter((c) => c && c.ref !== undefined)
+      .map((c) => decodeStream(objects.get(c.ref)))
+      .filter(Boolean);
+    if (!parts.length) return '';
+    try {
+      return contentText(Buffer.concat(parts.flatMap((p) => [p, Buffer.from('\n')])), resources, ctx)
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    } catch {
+      return '';
+    }
+  });
+}
+
+module.exports = { extractPdfPages, builtinPages };
@@ -0,0 +1,86 @@
+/**
+ * lib/plugins.js
+ *
+ * Loads JavaScript plugins for download-pdfs.js from plugins/hooks/*.js
+ * (next to the bash module plugins in plugins/modules/). A plugin is a
+ * CommonJS module exporting an object with any of these hooks:
+ *
+ *   extractCandidates(ctx) -> url[]      more download candidates for a page
+ *   scoreCandidate(ctx)    -> number     new score for a candidate (undefined: keep)
+ *   handleResource(ctx)    -> boolean    take over a resource (true: handled)
+ *   afterSave(ctx)         -> void       post-process a saved file or folder
+ *
+ * plus optional `name` and `match` (RegExp or function of the resource URL;
+ * hooks only run for resources it accepts). See plugins/hooks/README.md.
+ *
+ *   loadPlugins(dir) -> [{ name, file, match, ...hooks }]   sorted by file name
+ *   pluginsFor(plugins, hook, resourceUrl) -> plugins with that hook for the URL
+ *
+ * A plugin that fails to load or has no known hook throws PluginError, so a
+ * typo stops the run at startup instead of being silently ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HOOKS = ['extractCandidates', 'scoreCandidate', 'handleResource', 'afterSave'];
+
+class PluginError extends Error {
+  constructor(file, message) {
+    super(`${path.basename(file)}: ${message}`);
+    this.name = 'PluginError';
+    this.file = file;
+  }
+}
+
+function loadPlugin(file) {
+  let exported;
+  try {
+    exported = require(path.resolve(file));
+  } catch (e) {
+    throw new PluginError(file, `failed to load (${e.message})`);
+  }
+  if (!exported || typeof exported !== 'object') throw new PluginError(file, 'must export an object of hooks');
+
+  const hooks = HOOKS.filter((h) => exported[h] !== undefined);
+  if (!hooks.length) throw new PluginError(file, `exports none of ${HOOKS.join(', ')}`);
+  for (const h of hooks) {
+    if (typeof exported[h] !== 'function') throw new PluginError(file, `${h} must be a function`);
+  }
+
+  const { match } = exported;
+  if (match !== undefined && !(match instanceof RegExp) && typeof match !== 'function') {
+    throw new PluginError(file, 'match must be a RegExp or a function');
+  }
+
+  return {
+    ...exported,
+    name: exported.name || path.basename(file, '.js'),
+    file,
+    match,
+    hooks,
+  };
+}
+
+function loadPlugins(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.js'))
+    .sort()
+    .map((f) => loadPlugin(path.join(dir, f)));
+}
+
+function accepts(plugin, resourceUrl) {
+  if (!plugin.match) return true;
+  if (plugin.match instanceof RegExp) {
+    plugin.match.lastIndex = 0;
+    return plugin.match.test(resourceUrl);
+  }
+  return Boolean(plugin.match(resourceUrl));
+}
+
+function pluginsFor(plugins, hook, resourceUrl) {
+  return plugins.filter((p) => p.hooks.includes(hook) && accepts(p, resourceUrl));
+}
+
+module.exports = { HOOKS, PluginError, loadPlugins, pluginsFor };
@@ -0,0 +1,375 @@
+/**
+ * lib/search-index.js
+ *
+ * Full-text index over an archive directory (OUTPUT_DIR): saved PDFs
+ * (one entry per page), mirrored HTML packages, the -page.html /
+ * -page-main.html fallbacks and the assignment/forum/book HTML exports.
+ *
+ * Layout (<archive>/.search-index/):
+ *   docs.json            one entry per indexed file: size + mtime (used to
+ *                        detect changes), resource id, title, page lengths
+ *   postings.json        term -> flat [docId, page, tf, docId, page, tf, …]
+ *   text/<docId>.json    page texts, for phrase checks and snippets
+ *
+ *   updateIndex(archiveDir, { rebuild, log }) -> { added, updated, removed, docs, via }
+ *     Re-extracts only new or changed files and drops deleted ones.
+ *   search(archiveDir, query, { limit }) -> [{ score, rid, file, page, title, snippet }]
+ *     Ranks pages with BM25. "quoted phrases" must appear; prefix* expands.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractPdfPages } = require('./pdf-text');
+
+const INDEX_DIRNAME = '.search-index';
+const INDEX_VERSION = 1;
+const SKIP_DIRS = new Set(['_versions', '_warc', '_reports', '.partial', INDEX_DIRNAME]);
+const TEXT_EXTS = new Set(['.pdf', '.html', '.htm', '.xhtml']);
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with',
+]);
+
+// ---------------------------------------------------------------------
+// Text helpers
+// ---------------------------------------------------------------------
+function fold(text) {
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function tokenize(text) {
+  return fold(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 1 && t.length <= 40 && !STOPWORDS.has(t));
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+function htmlToText(html) {
+  const title = (/<title[^>]*>([\s\S]*?)<\/title>/i.exec(html) || [])[1] || '';
+  const text = html
+    .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<\/?(p|div|br|li|tr|h[1-6]|section|article|blockquote|pre|table)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+      if (e[0] === '#') {
+        const cp = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+        return cp > 0 && cp < 0x110000 ? String.fromCodePoint(cp) : ' ';
+      }
+      return ENTITIES[e.toLowerCase()] || m;
+    })
+    .replace(/[ \t\r\f\v]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+  return { title: title.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim(), text };
+}
+
+// ---------------------------------------------------------------------
+// Archive walk + resource ids
+// ---------------------------------------------------------------------
+function readJson(file, fallback = {}) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function listTextFiles(archiveDir) {
+  const files = [];
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const dirent of entries) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        if (dir === archiveDir && SKIP_DIRS.has(dirent.name)) continue;
+        walk(full);
+      } else if (dirent.isFile() && TEXT_EXTS.has(path.extname(dirent.name).toLowerCase())) {
+        // The archive index lists files; it is not content.
+        if (dir === archiveDir && dirent.name === 'index.html') continue;
+        files.push(full);
+      }
+    }
+  };
+  walk(archiveDir);
+  return files;
+}
+
+// Metadata for a file: its own sidecar, else the nearest enclosing
+// activity (package sidecar, assignment.json / forum.json), else a
+// leading "<id>-" in the flat layout.
+function describeFile(archiveDir, file) {
+  const own = readJson(`${file}.meta.json`, null);
+  if (own && own.id) return { rid: String(own.id), title: own.title || own.bookTitle || own.originalFilename || '' };
+
+  for (let dir = path.dirname(file); dir.startsWith(archiveDir) && dir !== archiveDir; dir = path.dirname(dir)) {
+    const meta = readJson(`${dir}.meta.json`, null)
+      || readJson(path.join(dir, 'assignment.json'), null)
+      || readJson(path.join(dir, 'forum.json'), null);
+    if (meta && meta.id) {
+      return { rid: String(meta.id), title: meta.title || meta.assignmentTitle || meta.forumTitle || '' };
+    }
+  }
+
+  const rel = path.relative(archiveDir, file).split(path.sep);
+  for (const part of rel) {
+    const m = /^(\d+)-/.exec(part);
+    if (m) return { rid: m[1], title: '' };
+  }
+  return { rid: null, title: '' };
+}
+
+function extractFile(file) {
+  if (path.extname(file).toLowerCase() === '.pdf') {
+    const { pages, via } = extractPdfPages(file);
+    return { type: 'pdf', pages, title: '', via };
+  }
+  const { title, text } = htmlToText(fs.readFileSync(file, 'utf-8'));
+  return { type: 'html', pages: [text], title, via: 'html' };
+}
+
+// ---------------------------------------------------------------------
+// Index storage
+// ---------------------------------------------------------------------
+function indexPaths(archiveDir) {
+  const root = path.join(archiveDir, INDEX_DIRNAME);
+  return {
+    root,
+    docs: path.join(root, 'docs.json'),
+    postings: path.join(root, 'postings.json'),
+    text: path.join(root, 'text'),
+  };
+}
+
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+function loadIndex(archiveDir) {
+  const p = indexPaths(archiveDir);
+  const docs = readJson(p.docs, null);
+  if (!docs || docs.version !== INDEX_VERSION) return { version: INDEX_VERSION, nextId: 1, files: {}, postings: {} };
+  return { ...docs, postings: readJson(p.postings, {}) };
+}
+
+function loadPages(archiveDir, docId) {
+  return readJson(path.join(indexPaths(archiveDir).text, `${docId}.json`), []);
+}
+
+// ---------------------------------------------------------------------
+// Incremental update
+// ---------------------------------------------------------------------
+function updateIndex(dir, { rebuild = false, log = () => {} } = {}) {
+  const archiveDir = path.resolve(dir);
+  const p = indexPaths(archiveDir);
+  if (rebuild) fs.rmSync(p.root, { recursive: true, force: true });
+  fs.mkdirSync(p.text, { recursive: true });
+
+  const index = loadIndex(archiveDir);
+  const result = { added: 0, updated: 0, removed: 0, failed: 0, docs: 0, via: {} };
+  const stale = new Set();
+  const seen = new Set();
+
+  for (const file of listTextFiles(archiveDir)) {
+    const rel = path.relative(archiveDir, file).split(path.sep).join('/');
+    seen.add(rel);
+    const st = fs.statSync(file);
+    const prev = index.files[rel];
+    if (prev && prev.size === st.size && prev.mtimeMs === st.mtimeMs) continue;
+
+    let extracted;
+    try {
+      extracted = extractFile(file);
+    } catch (e) {
+      log(`search index: could not read ${rel}: ${e.message}`);
+      result.failed += 1;
+      continue;
+    }
+
+    const id = prev ? prev.id : index.nextId++;
+    if (prev) stale.add(id);
+    const info = describeFile(archiveDir, file);
+    index.files[rel] = {
+      id,
+      size: st.size,
+      mtimeMs: st.mtimeMs,
+      type: extracted.type,
+      rid: info.rid,
+      title: info.title || extracted.title || path.basename(file),
+      pageLengths: [],
+      pending: extracted.pages,
+    };
+    result[prev ? 'updated' : 'added'] += 1;
+    result.via[extracted.via] = (result.via[extracted.via] || 0) + 1;
+  }
+
+  for (const [rel, doc] of Object.entries(index.files)) {
+    if (seen.has(rel)) continue;
+    stale.add(doc.id);
+    fs.rmSync(path.join(p.text, `${doc.id}.json`), { force: true });
+    delete index.files[rel];
+    result.removed += 1;
+  }
+
+  if (stale.size) {
+    for (const [term, list] of Object.entries(index.postings)) {
+      const kept = [];
+      for (let i = 0; i < list.length; i += 3) {
+        if (!stale.has(list[i])) kept.push(list[i], list[i + 1], list[i + 2]);
+      }
+      if (kept.length) index.postings[term] = kept;
+      else delete index.postings[term];
+    }
+  }
+
+  for (const doc of Object.values(index.files)) {
+    if (!doc.pending) continue;
+    doc.pageLengths = doc.pending.map((text, page) => {
+      const counts = new Map();
+      const tokens = tokenize(text);
+      for (const t of tokens) counts.set(t, (counts.get(t) || 0) + 1);
+      for (const [term, tf] of counts) (index.postings[term] || (index.postings[term] = [])).push(doc.id, page, tf);
+      return tokens.length;
+    });
+    writeJsonAtomic(path.join(p.text, `${doc.id}.json`), doc.pending);
+    delete doc.pending;
+  }
+
+  const { postings, ...docs } = index;
+  if (result.added || result.updated || result.removed || !fs.existsSync(p.docs)) {
+    writeJsonAtomic(p.postings, postings);
+    writeJsonAtomic(p.docs, docs);
+  }
+  result.docs = Object.keys(index.files).length;
+  return result;
+}
+
+// ---------------------------------------------------------------------
+// Query
+// ---------------------------------------------------------------------
+function parseQuery(query) {
+  const phrases = [];
+  const rest = query.replace(/"([^"]+)"/g, (_, ph) => {
+    const folded = tokenize(ph).join(' ');
+    if (folded) phrases.push({ raw: ph.trim(), folded });
+    return ` ${ph} `;
+  });
+  const terms = [];
+  const prefixes = [];
+  for (const word of rest.split(/\s+/)) {
+    if (word.endsWith('*') && word.length > 2) {
+      const stem = fold(word.slice(0, -1)).replace(/[^\p{L}\p{N}]+/gu, '');
+      if (stem.length > 1) prefixes.push(stem);
+      continue;
+    }
+    terms.push(...tokenize(word));
+  }
+  return { terms: Array.from(new Set(terms)), prefixes, phrases };
+}
+
+function makeSnippet(text, needles, width = 180) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const folded = fold(flat);
+  let at = -1;
+  for (const n of needles) {
+    const re = new RegExp(`(^|[^\\p{L}\\p{N}])${n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'u');
+    const m = re.exec(folded);
+    if (m) {
+      at = m.index + m[1].length;
+      break;
+    }
+  }
+  if (at < 0) at = 0;
+  const start = Math.max(0, at - Math.floor(width / 3));
+  const end = Math.min(flat.length, start + width);
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end).trim()}${end < flat.length ? '…' : ''}`;
+}
+
+function search(dir, query, { limit = 20 } = {}) {
+  const archiveDir = path.resolve(dir);
+  const index = loadIndex(archiveDir);
+  const docsById = new Map(Object.entries(index.files).map(([rel, doc]) => [doc.id, { rel, ...doc }]));
+  const { terms, prefixes, phrases } = parseQuery(query);
+
+  const expanded = new Set(terms);
+  for (const prefix of prefixes) {
+    for (const term of Object.keys(index.postings)) if (term.startsWith(prefix)) expanded.add(term);
+  }
+  if (!expanded.size) return [];
+
+  let totalPages = 0;
+  let totalLength = 0;
+  for (const doc of docsById.values()) {
+    totalPages += doc.pageLengths.length;
+    for (const len of doc.pageLengths) totalLength += len;
+  }
+  const avgLength = totalPages ? totalLength / totalPages : 1;
+  const k1 = 1.2;
+  const b = 0.75;
+
+  // BM25 per (doc, page); phrase words are required terms.
+  const required = new Set(phrases.flatMap((ph) => ph.folded.split(' ')));
+  const scores = new Map();
+  const matched = new Map();
+  for (const term of expanded) {
+    const list = index.postings[term];
+    if (!list) continue;
+    const df = list.length / 3;
+    const idf = Math.log(1 + (totalPages - df + 0.5) / (df + 0.5));
+    for (let i = 0; i < list.length; i += 3) {
+      const doc = docsById.get(list[i]);
+      if (!doc) continue;
+      const key = `${list[i]}:${list[i + 1]}`;
+      const tf = list[i + 2];
+      const len = doc.pageLengths[list[i + 1]] || avgLength;
+      scores.set(key, (scores.get(key) || 0) + idf * ((tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * len) / avgLength))));
+      if (!matched.has(key)) matched.set(key, new Set());
+      matched.get(key).add(term);
+    }
+  }
+
+  const textCache = new Map();
+  const pagesOf = (docId) => {
+    if (!textCache.has(docId)) textCache.set(docId, loadPages(archiveDir, docId));
+    return textCache.get(docId);
+  };
+
+  const hits = [];
+  for (const [key, score] of scores) {
+    const [docId, page] = key.split(':').map(Number);
+    const seenTerms = matched.get(key);
+    if (Array.from(required).some((t) => !seenTerms.has(t))) continue;
+    if (phrases.length) {
+      const text = tokenize(pagesOf(docId)[page] || '').join(' ');
+      if (!phrases.every((ph) => ` ${text} `.includes(` ${ph.folded} `))) continue;
+    }
+    hits.push({ docId, page, score });
+  }
+  hits.sort((x, y) => y.score - x.score);
+
+  const needles = [
+    ...phrases.map((ph) => fold(ph.raw)),
+    ...Array.from(expanded).sort((x, y) => (index.postings[x] || []).length - (index.postings[y] || []).length),
+  ];
+  return hits.slice(0, limit).map(({ docId, page, score }) => {
+    const doc = docsById.get(docId);
+    return {
+      score: Math.round(score * 1000) / 1000,
+      rid: doc.rid,
+      file: doc.rel,
+      page: doc.type === 'pdf' ? page + 1 : null,
+      title: doc.title,
+      snippet: makeSnippet(pagesOf(docId)[page] || '', needles),
+    };
+  });
+}
+
+module.exports = { updateIndex, search, htmlToText, tokenize, INDEX_DIRNAME };
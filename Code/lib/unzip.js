@@ -0,0 +1,252 @@
+/**
+ * lib/unzip.js
+ *
+ * Safe ZIP extraction without an external unzip binary.
+ *
+ *   extractZip(zipPath, destDir, { maxBytes, maxEntries })
+ *     -> { entries: [{ path, size, crc32 }], bytes }
+ *
+ * The whole archive is refused (UnzipError, nothing left on disk) when:
+ *   - an entry name is absolute (/x, \x, C:\x) or climbs out with ".."
+ *   - an entry is a symlink (Unix mode in the external attributes)
+ *   - it has more than maxEntries entries, or its entries add up to more
+ *     than maxBytes uncompressed — checked against the central directory
+ *     first and again while inflating, so lying headers don't help
+ *   - an entry is encrypted or uses a method other than stored/deflate
+ *   - the data doesn't match its size or CRC-32
+ * Entries are written into "<destDir>.unzip-tmp" and renamed into place
+ * only when every entry checked out; destDir must not exist yet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const EOCD_SIG = 0x06054b50;
+const ZIP64_LOCATOR_SIG = 0x07064b50;
+const ZIP64_EOCD_SIG = 0x06064b50;
+const CD_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+const EOCD_MAX = 22 + 0xffff;
+
+// reason: zip-unsafe | zip-too-large | zip-unsupported | zip-corrupt
+class UnzipError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'UnzipError';
+    this.reason = reason;
+  }
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32Update(crc, buf) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function readAt(fd, position, length) {
+  const buf = Buffer.alloc(length);
+  const n = fs.readSync(fd, buf, 0, length, position);
+  return buf.subarray(0, n);
+}
+
+// ---------------------------------------------------------------------
+// Central directory
+// ---------------------------------------------------------------------
+function findEnd(fd, size) {
+  const start = Math.max(0, size - EOCD_MAX);
+  const tail = readAt(fd, start, size - start);
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) !== EOCD_SIG) continue;
+    let count = tail.readUInt16LE(i + 10);
+    let cdSize = tail.readUInt32LE(i + 12);
+    let cdOffset = tail.readUInt32LE(i + 16);
+    if (count === 0xffff || cdSize === 0xffffffff || cdOffset === 0xffffffff) {
+      const loc = start + i >= 20 ? readAt(fd, start + i - 20, 20) : Buffer.alloc(0);
+      if (loc.length < 20 || loc.readUInt32LE(0) !== ZIP64_LOCATOR_SIG) throw new UnzipError('zip-corrupt', 'ZIP64 locator missing');
+      const rec = readAt(fd, Number(loc.readBigUInt64LE(8)), 56);
+      if (rec.length < 56 || rec.readUInt32LE(0) !== ZIP64_EOCD_SIG) throw new UnzipError('zip-corrupt', 'ZIP64 end record missing');
+      count = Number(rec.readBigUInt64LE(32));
+      cdSize = Number(rec.readBigUInt64LE(40));
+      cdOffset = Number(rec.readBigUInt64LE(48));
+    }
+    return { count, cdSize, cdOffset };
+  }
+  throw new UnzipError('zip-corrupt', 'no end-of-central-directory record');
+}
+
+// Sizes/offset that don't fit 32 bits live in the ZIP64 extra field (0x0001),
+// in this order, only for the fields that are 0xffffffff.
+function applyZip64(entry, extra) {
+  for (let p = 0; p + 4 <= extra.length;) {
+    const id = extra.readUInt16LE(p);
+    const len = extra.readUInt16LE(p + 2);
+    if (id === 0x0001) {
+      let q = p + 4;
+      for (const field of ['size', 'compressedSize', 'localOffset']) {
+        if (entry[field] !== 0xffffffff) continue;
+        if (q + 8 > p + 4 + len) throw new UnzipError('zip-corrupt', `bad ZIP64 field for ${entry.name}`);
+        entry[field] = Number(extra.readBigUInt64LE(q));
+        q += 8;
+      }
+      return;
+    }
+    p += 4 + len;
+  }
+}
+
+function readEntries(fd, size, { maxEntries }) {
+  const { count, cdSize, cdOffset } = findEnd(fd, size);
+  if (count > maxEntries) throw new UnzipError('zip-too-large', `${count} entries (limit ${maxEntries})`);
+  if (cdOffset + cdSize > size) throw new UnzipError('zip-corrupt', 'central directory past end of file');
+
+  const cd = readAt(fd, cdOffset, cdSize);
+  const entries = [];
+  for (let p = 0; entries.length < count; ) {
+    if (p + 46 > cd.length || cd.readUInt32LE(p) !== CD_SIG) throw new UnzipError('zip-corrupt', 'truncated central directory');
+    const nameLen = cd.readUInt16LE(p + 28);
+    const extraLen = cd.readUInt16LE(p + 30);
+    const commentLen = cd.readUInt16LE(p + 32);
+    const flags = cd.readUInt16LE(p + 8);
+    const rawName = cd.subarray(p + 46, p + 46 + nameLen);
+    const entry = {
+      name: rawName.toString(flags & 0x800 ? 'utf8' : 'latin1'),
+      madeBy: cd.readUInt16LE(p + 4) >> 8,
+      flags,
+      method: cd.readUInt16LE(p + 10),
+      crc32: cd.readUInt32LE(p + 16),
+      compressedSize: cd.readUInt32LE(p + 20),
+      size: cd.readUInt32LE(p + 24),
+      externalAttrs: cd.readUInt32LE(p + 38),
+      localOffset: cd.readUInt32LE(p + 42),
+    };
+    applyZip64(entry, cd.subarray(p + 46 + nameLen, p + 46 + nameLen + extraLen));
+    entries.push(entry);
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+// ---------------------------------------------------------------------
+// Safety checks
+// ---------------------------------------------------------------------
+// Returns the entry's relative path parts, or throws for anything unsafe.
+function safeParts(entry) {
+  const name = entry.name.replace(/\\/g, '/');
+  if (/[\u0000-\u001f]/.test(name)) throw new UnzipError('zip-unsafe', `control characters in entry name ${JSON.stringify(entry.name)}`);
+  if (name.startsWith('/') || /^[a-z]:/i.test(name)) throw new UnzipError('zip-unsafe', `absolute path ${entry.name}`);
+  const parts = name.split('/').filter((seg) => seg && seg !== '.');
+  if (parts.includes('..')) throw new UnzipError('zip-unsafe', `path traversal in ${entry.name}`);
+  return parts;
+}
+
+function isSymlink(entry) {
+  const unixMode = entry.externalAttrs >>> 16;
+  return entry.madeBy === 3 && (unixMode & 0o170000) === 0o120000;
+}
+
+function isDirectory(entry) {
+  return entry.name.endsWith('/') || entry.name.endsWith('\\') || (entry.externalAttrs & 0x10) !== 0;
+}
+
+function checkEntries(entries, { maxBytes }) {
+  let total = 0;
+  for (const entry of entries) {
+    safeParts(entry);
+    if (isSymlink(entry)) throw new UnzipError('zip-unsafe', `symlink entry ${entry.name}`);
+    if (isDirectory(entry)) continue;
+    if (entry.flags & 0x1) throw new UnzipError('zip-unsupported', `encrypted entry ${entry.name}`);
+    if (entry.method !== 0 && entry.method !== 8) throw new UnzipError('zip-unsupported', `compression method ${entry.method} in ${entry.name}`);
+    total += entry.size;
+    if (total > maxBytes) throw new UnzipError('zip-too-large', `more than ${maxBytes} bytes uncompressed`);
+  }
+}
+
+// ---------------------------------------------------------------------
+// Extraction
+// ---------------------------------------------------------------------
+async function writeEntry(zipPath, fd, entry, outPath, budget) {
+  const local = readAt(fd, entry.localOffset, 30);
+  if (local.length < 30 || local.readUInt32LE(0) !== LOCAL_SIG) throw new UnzipError('zip-corrupt', `bad local header for ${entry.name}`);
+  const dataStart = entry.localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+
+  let written = 0;
+  let crc = 0;
+  const meter = new Transform({
+    transform(chunk, _enc, cb) {
+      written += chunk.length;
+      budget.used += chunk.length;
+      if (written > entry.size) return cb(new UnzipError('zip-corrupt', `${entry.name} inflates past its declared size`));
+      if (budget.used > budget.max) return cb(new UnzipError('zip-too-large', `more than ${budget.max} bytes uncompressed`));
+      crc = crc32Update(crc, chunk);
+      cb(null, chunk);
+    },
+  });
+
+  const source = entry.compressedSize > 0
+    ? fs.createReadStream(zipPath, { start: dataStart, end: dataStart + entry.compressedSize - 1 })
+    : Readable.from([]);
+  const stages = entry.method === 8 ? [source, zlib.createInflateRaw(), meter] : [source, meter];
+  try {
+    await pipeline(...stages, fs.createWriteStream(outPath, { flags: 'wx' }));
+  } catch (e) {
+    if (e instanceof UnzipError) throw e;
+    throw new UnzipError('zip-corrupt', `${entry.name}: ${e.message}`);
+  }
+  if (written !== entry.size) throw new UnzipError('zip-corrupt', `${entry.name} is ${written} bytes, expected ${entry.size}`);
+  if (crc !== entry.crc32) throw new UnzipError('zip-corrupt', `CRC mismatch in ${entry.name}`);
+}
+
+async function extractZip(zipPath, destDir, { maxBytes = Infinity, maxEntries = Infinity } = {}) {
+  if (fs.existsSync(destDir)) throw new Error(`${destDir} already exists`);
+  const tmpDir = `${destDir}.unzip-tmp`;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  const fd = fs.openSync(zipPath, 'r');
+  try {
+    const entries = readEntries(fd, fs.fstatSync(fd).size, { maxEntries });
+    checkEntries(entries, { maxBytes });
+
+    fs.mkdirSync(tmpDir, { recursive: true });
+    const root = path.resolve(tmpDir);
+    const budget = { used: 0, max: maxBytes };
+    const out = [];
+    for (const entry of entries) {
+      const parts = safeParts(entry);
+      if (!parts.length) continue;
+      const outPath = path.resolve(root, ...parts);
+      // Belt and braces: nothing may resolve outside the extraction root.
+      if (!outPath.startsWith(root + path.sep)) throw new UnzipError('zip-unsafe', `${entry.name} escapes the target directory`);
+      if (isDirectory(entry)) {
+        fs.mkdirSync(outPath, { recursive: true });
+        continue;
+      }
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      await writeEntry(zipPath, fd, entry, outPath, budget);
+      out.push({ path: parts.join('/'), size: entry.size, crc32: entry.crc32.toString(16).padStart(8, '0') });
+    }
+
+    fs.renameSync(tmpDir, destDir);
+    return { entries: out, bytes: budget.used };
+  } catch (e) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    if (e instanceof UnzipError) throw e;
+    throw new UnzipError('zip-corrupt', e.message);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = { UnzipError, extractZip };
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * login.js
+ *
+ * Interactive login: opens a visible browser at BASE_URL, waits for you to
+ * log in (SSO / MFA included), then writes that site's cookies straight into
+ * cookies.json — in the same format sanitize-cookies.js produces, with the
+ * same MoodleSession check. Replaces the Cookie-Editor export step.
+ *
+ * Self-resolving: writes cookies.json (cookies.<site>.json with --site) next
+ * to this script.
+ *
+ * Usage:
+ *   BASE_URL=https://moodle.example node login.js
+ *   node login.js --site unsw             # BASE_URL from sites/unsw.env -> cookies.unsw.json
+ *   ./moodle.sh --site unsw --login       # same as --site, then runs the download
+ *
+ * Optional env:
+ *   LOGIN_TIMEOUT_MINUTES=10   # give up if the login isn't finished by then
+ */
+
+const puppeteer = require('puppeteer');
+const { sanitizeCookies, checkExpiry, writeCookies, siteProfile, siteCookieFilter } = require('./sanitize-cookies');
+
+const siteArg = process.argv.indexOf('--site');
+const SITE = (siteArg !== -1 ? process.argv[siteArg + 1] : process.env.SITE) || '';
+const PROFILE = SITE ? siteProfile(SITE) : { baseUrl: process.env.BASE_URL || '', cookieDomains: [] };
+const BASE_URL = PROFILE.baseUrl.replace(/\/+$/, '');
+const LOGIN_TIMEOUT_MINUTES = Number(process.env.LOGIN_TIMEOUT_MINUTES || 10);
+const POLL_MS = 1500;
+
+function fatal(msg) {
+  console.error(`\n[✗] ${msg}\n`);
+  process.exit(1);
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// --- Validate input ---
+let base;
+try {
+  base = new URL(BASE_URL);
+} catch {
+  fatal('BASE_URL must be set (e.g. BASE_URL=https://moodle.example node login.js)');
+}
+
+// Logged in = a Moodle page on the site that isn't the login page and
+// doesn't carry Moodle's "notloggedin" body class. (sanitizeCookies() then
+// insists on a MoodleSession cookie.)
+async function loggedIn(browser) {
+  for (const page of await browser.pages()) {
+    let url;
+    try {
+      url = new URL(page.url());
+    } catch {
+      continue;
+    }
+    if (url.host !== base.host || /\/login\//.test(url.pathname)) continue;
+    const state = await page.evaluate(() => {
+      const body = document.body;
+      // Moodle gives every page body an id like "page-my-index".
+      if (!body || !/^page-/.test(body.id || '')) return 'not-moodle';
+      return body.classList.contains('notloggedin') ? 'guest' : 'user';
+    }).catch(() => 'not-moodle');
+    if (state === 'user') return page;
+  }
+  return null;
+}
+
+(async () => {
+  let browser;
+  try {
+    browser = await puppeteer.launch({ headless: false, defaultViewport: null });
+  } catch (e) {
+    fatal(`Could not open a visible browser (${e.message}).\n\n→ login.js needs a desktop session (no headless servers / plain SSH)\n→ Otherwise export cookies with Cookie-Editor and run sanitize-cookies.js`);
+  }
+
+  let closed = false;
+  browser.on('disconnected', () => { closed = true; });
+
+  const [page] = await browser.pages();
+  console.log(`[i] Opening ${BASE_URL} — log in in the browser window (SSO/MFA is fine)`);
+  await page.goto(BASE_URL, { waitUntil: 'domcontentloaded' }).catch(() => {});
+
+  const deadline = Date.now() + LOGIN_TIMEOUT_MINUTES * 60000;
+  let landed = null;
+  while (!landed) {
+    if (closed) fatal('Browser closed before the login finished');
+    if (Date.now() > deadline) {
+      await browser.close();
+      fatal(`Login not finished within ${LOGIN_TIMEOUT_MINUTES} min (LOGIN_TIMEOUT_MINUTES)`);
+    }
+    await sleep(POLL_MS);
+    landed = await loggedIn(browser).catch(() => null);
+  }
+  console.log(`[✓] Logged in (${landed.url()})`);
+
+  // Every cookie the browser holds for the site (any path), not just the
+  // ones the current page would send.
+  const client = await landed.target().createCDPSession();
+  const { cookies } = await client.send('Network.getAllCookies');
+  await browser.close();
+
+  const forSite = siteCookieFilter(BASE_URL, PROFILE.cookieDomains);
+  const siteCookies = cookies.filter((c) => forSite(c) && c.value);
+  console.log(`[i] Captured ${siteCookies.length} cookie(s) for ${base.hostname}`);
+
+  const cleaned = sanitizeCookies(siteCookies);
+  checkExpiry(siteCookies);
+  const { target, backup } = writeCookies(cleaned, SITE);
+
+  console.log(`[✓] Wrote ${target}`);
+  if (backup) console.log(`[i] Previous file backed up as ${backup}`);
+})();
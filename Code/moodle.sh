@@ -14,9 +14,12 @@ PLUGINS_DIR="${PROJECT_ROOT}/plugins/modules"
 
 COOKIES="${PROJECT_ROOT}/cookies.json"
 SANITIZER="${PROJECT_ROOT}/sanitize-cookies.js"
+LOGIN_HELPER="${PROJECT_ROOT}/login.js"
 EXTRACTOR="${PROJECT_ROOT}/extract-resources.sh"
 DOWNLOADER="${PROJECT_ROOT}/download-pdfs.js"
+BATCH_RUNNER="${PROJECT_ROOT}/batch.js"
 RESOURCE_FILE="${PROJECT_ROOT}/resource_urls.txt"
+STRUCTURE_FILE="${PROJECT_ROOT}/course_structure.json"
 BACKUP_DIR="${PROJECT_ROOT}/.backups"
 
 DEBUG="${DEBUG:-0}"
@@ -29,11 +32,18 @@ ALLOW_LARGE="${ALLOW_LARGE:-0}"
 
 SITE="${MOODLE_SITE:-}"
 HTML_PATH=""
+COURSE=""
 MODE_ALL=0
 MODULES=""
 OUTPUT_DIR="${OUTPUT_DIR:-}"
 LOG_CHOICE=""
 CI_MODE="${CI_MODE:-0}"
+RESUME=0
+LOGIN=0
+DEDUP=0
+BATCH=0
+COURSES_FILE=""
+DEDUP_STORE="${DEDUP_STORE:-}"
 
 # ---------------------------------------------------------------------
 # Helpers
@@ -62,12 +72,24 @@ Usage:
 Options:
   --site <name>        Site profile name from ${SITES_DIR}
   --html <path>        HTML course page to use
+  --course <id|url>    Discover activities from the live course page
+                       (replaces --html; no saved course page needed)
   --all                Extract all known module types
   --modules <list>     Comma-separated module names (overrides --all)
   --output-dir <path>  Override output directory (base directory)
   --debug              Enable debug output
   --log <format>       Log format: json | manifest | both | none
   --ci                 Non-interactive mode (no prompts)
+  --login              Log in through a browser window and capture
+                       cookies.<site>.json (instead of exporting it by hand)
+  --resume             Continue a run that stopped on an expired session
+                       (same --site/--html/--course as that run)
+  --dedup              Hardlink identical files to one copy in
+                       <output-dir>/.dedup-store (shared by every course)
+  --batch              Download every course listed for the site
+                       (sites/<site>.courses.json or COURSES in the profile)
+                       in one run with one browser (see batch.js)
+  --courses <file>     Course list for --batch (instead of the site's)
   -h, --help           Show this help
 
 Examples:
@@ -75,6 +97,9 @@ Examples:
   ./moodle.sh --site unsw --all
   ./moodle.sh --site unsw --modules resource,page
   CI=1 ./moodle.sh --site solomon --html course.html --all
+  ./moodle.sh --site unsw --course 90386 --all
+  ./moodle.sh --site unsw --course 90386 --all --resume
+  ./moodle.sh --site unsw --login --course 90386
 EOF
 }
 
@@ -108,6 +133,10 @@ while [[ $# -gt 0 ]]; do
       HTML_PATH="${2:-}"
       shift 2
       ;;
+    --course)
+      COURSE="${2:-}"
+      shift 2
+      ;;
     --all)
       MODE_ALL=1
       shift
@@ -132,6 +161,27 @@ while [[ $# -gt 0 ]]; do
       CI_MODE=1
       shift
       ;;
+    --resume)
+      RESUME=1
+      shift
+      ;;
+    --login)
+      LOGIN=1
+      shift
+      ;;
+    --dedup)
+      DEDUP=1
+      shift
+      ;;
+    --batch)
+      BATCH=1
+      shift
+      ;;
+    --courses)
+      COURSES_FILE="${2:-}"
+      BATCH=1
+      shift 2
+      ;;
     -h|--help)
       usage
       exit 0
@@ -150,6 +200,18 @@ if [[ -n "${MODULES}" && "${MODE_ALL}" -eq 1 ]]; then
   die "Use --modules or --all, not both."
 fi
 
+if [[ -n "${COURSE}" && -n "${HTML_PATH}" ]]; then
+  die "Use --course or --html, not both."
+fi
+
+if [[ "${BATCH}" -eq 1 && ( -n "${COURSE}" || -n "${HTML_PATH}" ) ]]; then
+  die "--batch takes its courses from the course list; drop --course/--html."
+fi
+
+if [[ "${LOGIN}" -eq 1 && "${CI_MODE}" -eq 1 ]]; then
+  die "--login opens a browser window and cannot run in CI mode."
+fi
+
 # ---------------------------------------------------------------------
 # Block 2: Resolve site profile
 # ---------------------------------------------------------------------
@@ -184,6 +246,10 @@ OUTPUT_DIR_DEFAULT="${OUTPUT_DIR_DEFAULT:-${SITE_NAME}}"
 
 [[ -n "${BASE_URL}" ]] || die "BASE_URL is not set in ${SITE_FILE}"
 
+# Each site keeps its own sanitised cookies; a plain cookies.json export
+# is accepted as input and filtered to this site's domain.
+SITE_COOKIES="${PROJECT_ROOT}/cookies.${SITE}.json"
+
 # ---------------------------------------------------------------------
 # Block 3: Environment checks (fail fast)
 # ---------------------------------------------------------------------
@@ -232,11 +298,12 @@ ls -1 "${PROJECT_ROOT}"/*.html 2>/dev/null || echo "  (none)"
 echo
 
 echo "Scripts:"
-for f in sanitize-cookies.js extract-resources.sh download-pdfs.js; do
+for f in sanitize-cookies.js login.js extract-resources.sh download-pdfs.js; do
   [[ -f "${PROJECT_ROOT}/${f}" ]] && echo "  - ${f}" || echo "  - ${f} (MISSING)"
 done
 
 echo
+OUTPUT_DIR_GIVEN="${OUTPUT_DIR}"
 if [[ -z "${OUTPUT_DIR}" ]]; then
   OUTPUT_DIR="${OUTPUT_DIR_DEFAULT}"
 fi
@@ -247,8 +314,14 @@ fi
 
 OUTPUT_ROOT="${OUTPUT_DIR}"
 
+# One store for the whole site directory, so courses share copies.
+if [[ "${DEDUP}" -eq 1 && -z "${DEDUP_STORE}" ]]; then
+  DEDUP_STORE="${OUTPUT_ROOT}/.dedup-store"
+fi
+
 echo "Output directory:"
 [[ -d "${OUTPUT_DIR}" ]] && echo "  - ${OUTPUT_DIR} (exists)" || echo "  - ${OUTPUT_DIR} (will be created)"
+[[ -n "${DEDUP_STORE}" ]] && echo "  - dedup store: ${DEDUP_STORE}"
 echo
 
 echo "Node:"
@@ -260,7 +333,11 @@ pause
 # ---------------------------------------------------------------------
 # Block 5: Validate required files exist
 # ---------------------------------------------------------------------
-[[ -f "${COOKIES}" ]]    || die "cookies.json not found.\n\n→ Export cookies from your browser using Cookie-Editor\n→ Save as cookies.json in the project root\n→ Then re-run moodle.sh"
+if [[ "${LOGIN}" -eq 1 ]]; then
+  [[ -f "${LOGIN_HELPER}" ]] || die "login.js missing.\n\n→ Restore login.js in the project root\n→ Then re-run moodle.sh"
+else
+  [[ -f "${COOKIES}" || -f "${SITE_COOKIES}" ]] || die "cookies.json not found.\n\n→ Export cookies from your browser using Cookie-Editor (or a cookies.txt / HAR export)\n→ Save as cookies.json in the project root\n→ Or re-run moodle.sh with --login to log in through a browser window"
+fi
 [[ -f "${SANITIZER}" ]]  || die "sanitize-cookies.js missing.\n\n→ Restore sanitize-cookies.js in the project root\n→ Then re-run moodle.sh"
 [[ -f "${EXTRACTOR}" ]]  || die "extract-resources.sh missing.\n\n→ Restore extract-resources.sh in the project root\n→ Then re-run moodle.sh"
 [[ -f "${DOWNLOADER}" ]] || die "download-pdfs.js missing.\n\n→ Restore download-pdfs.js in the project root\n→ Then re-run moodle.sh"
@@ -268,16 +345,63 @@ pause
 mkdir -p "${OUTPUT_DIR}"
 
 # ---------------------------------------------------------------------
-# Block 6: Cookie sanitisation
+# Block 6: Cookie sanitisation (or browser login)
 # ---------------------------------------------------------------------
-banner "Cookie Validation"
+if [[ "${LOGIN}" -eq 1 ]]; then
+  banner "Browser Login"
 
-echo "[+] Using cookies.json"
-echo "[+] Sanitising cookies..."
-node "${SANITIZER}"
+  echo "[+] Opening ${BASE_URL} — finish logging in (SSO/MFA included) in the browser window"
+  node "${LOGIN_HELPER}" --site "${SITE}" || die "Browser login did not produce $(basename "${SITE_COOKIES}").\n\n→ Re-run with --login and complete the login\n→ Or export cookies with Cookie-Editor instead"
+  echo "[✓] $(basename "${SITE_COOKIES}") captured (already sanitised)"
+else
+  banner "Cookie Validation"
+
+  echo "[+] Sanitising cookies for ${SITE_NAME}..."
+  node "${SANITIZER}" --site "${SITE}"
+fi
 
 # ---------------------------------------------------------------------
-# Block 7: Choose course HTML file
+# Block 6.1: Batch mode (every course in the site's course list)
+# ---------------------------------------------------------------------
+if [[ "${BATCH}" -eq 1 ]]; then
+  banner "Batch Download"
+  [[ -f "${BATCH_RUNNER}" ]] || die "batch.js missing.\n\n→ Restore batch.js in the project root\n→ Then re-run moodle.sh"
+
+  # Without --output-dir the course list's own outputDir (if any) applies.
+  batch_args=(--site "${SITE}")
+  [[ -n "${OUTPUT_DIR_GIVEN}" ]] && batch_args+=(--output-dir "${OUTPUT_ROOT}")
+  [[ -n "${COURSES_FILE}" ]] && batch_args+=(--courses "${COURSES_FILE}")
+  [[ "${DEDUP}" -eq 1 ]] && batch_args+=(--dedup)
+  [[ "${RESUME}" -eq 1 ]] && batch_args+=(--resume)
+
+  # --all / --modules apply to courses that don't pick their own modules.
+  if [[ "${MODE_ALL}" -eq 1 ]]; then
+    export DOWNLOAD_ALL=1 ALL_MODULES=1
+  elif [[ -n "${MODULES}" ]]; then
+    export DOWNLOAD_ALL=1 MODULES
+  fi
+
+  session_wait="${SESSION_WAIT_MINUTES:-30}"
+  if [[ "${CI_MODE}" -eq 1 && -z "${SESSION_WAIT_MINUTES:-}" ]]; then
+    session_wait=0
+  fi
+
+  status=0
+  env COOKIE_FILE="${SITE_COOKIES}" DEBUG="${DEBUG:-0}" SESSION_WAIT_MINUTES="${session_wait}" \
+    node "${BATCH_RUNNER}" "${batch_args[@]}" || status=$?
+
+  case "${status}" in
+    0) echo "[✓] All courses done (combined report in <output>/_reports/batch-latest.json)" ;;
+    2) echo "[!] Some courses had failures — see the combined report (<output>/_reports/batch-latest.json)" ;;
+    4) die "Your Moodle session expired during the batch; the remaining courses were saved.\n\n→ Export fresh cookies and run: node sanitize-cookies.js --site ${SITE}\n→ Then re-run moodle.sh with the same options plus --resume" ;;
+    3) die "Every course failed.\n\n→ Check _reports/batch-latest.json and each course's _reports/latest.json\n→ Refresh $(basename "${SITE_COOKIES}") if your session expired" ;;
+    *) die "batch.js exited with status ${status}.\n\n→ Re-run with DEBUG=1 for details" ;;
+  esac
+  exit "${status}"
+fi
+
+# ---------------------------------------------------------------------
+# Block 7: Choose course HTML file (or live course)
 # ---------------------------------------------------------------------
 banner "Course HTML Selection"
 
@@ -285,7 +409,15 @@ shopt -s nullglob
 HTML_FILES=("${PROJECT_ROOT}"/*.html)
 shopt -u nullglob
 
-if [[ -n "${HTML_PATH}" ]]; then
+if [[ -n "${COURSE}" ]]; then
+  HTML=""
+  COURSE_ID="${COURSE}"
+  if [[ ! "${COURSE_ID}" =~ ^[0-9]+$ ]]; then
+    [[ "${COURSE_ID}" =~ id=([0-9]+) ]] || die "Cannot read a course id from: ${COURSE}"
+    COURSE_ID="${BASH_REMATCH[1]}"
+  fi
+  echo "[+] Using live course: ${COURSE} (id ${COURSE_ID})"
+elif [[ -n "${HTML_PATH}" ]]; then
   [[ -f "${HTML_PATH}" ]] || die "HTML file not found: ${HTML_PATH}"
   HTML="${HTML_PATH}"
 else
@@ -308,8 +440,10 @@ else
   fi
 fi
 
-[[ -f "${HTML}" ]] || die "Selected HTML file not found."
-echo "[+] Using HTML: $(basename "${HTML}")"
+if [[ -z "${COURSE}" ]]; then
+  [[ -f "${HTML}" ]] || die "Selected HTML file not found."
+  echo "[+] Using HTML: $(basename "${HTML}")"
+fi
 
 # ---------------------------------------------------------------------
 # Block 8: Download mode
@@ -345,9 +479,13 @@ fi
 # ---------------------------------------------------------------------
 # Block 9: Output folder
 # ---------------------------------------------------------------------
-HTML_BASENAME="$(basename "${HTML}" .html)"
-HTML_BASENAME="${HTML_BASENAME// /}"
-HTML_BASENAME="${HTML_BASENAME//[^a-zA-Z0-9_]/_}"
+if [[ -n "${COURSE}" ]]; then
+  HTML_BASENAME="course_${COURSE_ID}"
+else
+  HTML_BASENAME="$(basename "${HTML}" .html)"
+  HTML_BASENAME="${HTML_BASENAME// /}"
+  HTML_BASENAME="${HTML_BASENAME//[^a-zA-Z0-9_]/_}"
+fi
 
 OUTPUT_SUBDIR="${OUTPUT_ROOT}/${HTML_BASENAME}"
 export OUTPUT_DIR="${OUTPUT_SUBDIR}"
@@ -397,69 +535,130 @@ fi
 # ---------------------------------------------------------------------
 # Block 11: Extract Moodle URLs from HTML
 # ---------------------------------------------------------------------
-banner "Resource Extraction"
-echo "[+] Extracting URLs..."
+if [[ "${RESUME}" -eq 1 ]]; then
+  # The position saved by the interrupted run replaces extraction.
+  [[ -f "${OUTPUT_SUBDIR}/.resume.json" ]] || die "Nothing to resume in ${OUTPUT_SUBDIR}.\n\n→ Use the same --site/--html/--course as the interrupted run\n→ Or start a normal run without --resume"
+  echo "[i] Resuming from ${OUTPUT_SUBDIR}/.resume.json (extraction skipped)"
+else
+  banner "Resource Extraction"
+  echo "[+] Extracting URLs..."
 
-if [[ -f "${RESOURCE_FILE}" ]]; then
-  TS=$(date +%Y%m%d-%H%M%S)
-  mv "${RESOURCE_FILE}" "${BACKUP_DIR}/resource_urls.txt.${TS}.bak"
-  echo "[i] Backed up existing resource_urls.txt -> ${BACKUP_DIR}/resource_urls.txt.${TS}.bak"
-fi
+  if [[ -f "${RESOURCE_FILE}" ]]; then
+    TS=$(date +%Y%m%d-%H%M%S)
+    mv "${RESOURCE_FILE}" "${BACKUP_DIR}/resource_urls.txt.${TS}.bak"
+    echo "[i] Backed up existing resource_urls.txt -> ${BACKUP_DIR}/resource_urls.txt.${TS}.bak"
+  fi
 
-EXTRACTOR_ARGS=()
-if [[ -n "${MODULES}" ]]; then
-  EXTRACTOR_ARGS+=(--modules "${MODULES}")
-elif [[ "${MODE_ALL}" -eq 1 ]]; then
-  EXTRACTOR_ARGS+=(--all)
-fi
+  EXTRACTOR_ARGS=()
+  if [[ -n "${MODULES}" ]]; then
+    EXTRACTOR_ARGS+=(--modules "${MODULES}")
+  elif [[ "${MODE_ALL}" -eq 1 ]]; then
+    EXTRACTOR_ARGS+=(--all)
+  fi
 
-BASE_URL="${BASE_URL}" "${EXTRACTOR}" "${EXTRACTOR_ARGS[@]}" "${HTML}"
+  if [[ -n "${COURSE}" ]]; then
+    DISCOVER_ENV=(BASE_URL="${BASE_URL}" COOKIE_FILE="${SITE_COOKIES}" DEBUG="${DEBUG:-0}")
+    if [[ -n "${MODULES}" ]]; then
+      DISCOVER_ENV+=(MODULES="${MODULES}")
+    elif [[ "${MODE_ALL}" -eq 1 ]]; then
+      DISCOVER_ENV+=(ALL_MODULES=1)
+    fi
+    (cd "${PROJECT_ROOT}" && env "${DISCOVER_ENV[@]}" node "${DOWNLOADER}" --course "${COURSE}" --discover-only)
+  else
+    # Section/title structure only comes from live discovery; don't let a
+    # previous --course run's structure leak into a saved-HTML run.
+    if [[ -f "${STRUCTURE_FILE}" ]]; then
+      mv "${STRUCTURE_FILE}" "${BACKUP_DIR}/course_structure.json.$(date +%Y%m%d-%H%M%S).bak"
+    fi
+    BASE_URL="${BASE_URL}" "${EXTRACTOR}" "${EXTRACTOR_ARGS[@]}" "${HTML}"
+  fi
 
-[[ -f "${RESOURCE_FILE}" ]] || die "resource_urls.txt was not created.\n\n→ Ensure extract-resources.sh is present and executable\n→ Then re-run moodle.sh"
-COUNT="$(grep -cve '^\s*$' "${RESOURCE_FILE}")"
-[[ "${COUNT}" -gt 0 ]] || die "resource_urls.txt is empty.\n\n→ Confirm the course HTML contains resource links\n→ Then re-run moodle.sh"
+  [[ -f "${RESOURCE_FILE}" ]] || die "resource_urls.txt was not created.\n\n→ Ensure extract-resources.sh is present and executable\n→ Then re-run moodle.sh"
+  COUNT="$(grep -cve '^\s*$' "${RESOURCE_FILE}")"
+  [[ "${COUNT}" -gt 0 ]] || die "resource_urls.txt is empty.\n\n→ Confirm the course page contains resource links\n→ Then re-run moodle.sh"
 
-echo "[+] ${COUNT} URL(s) extracted"
+  echo "[+] ${COUNT} URL(s) extracted"
+fi
 
 # ---------------------------------------------------------------------
 # Block 12: Downloader runner
+# What: Run download-pdfs.js and interpret its exit status.
+# Why: 2 = some resources failed (keep going, report at the end);
+#      1/3 = fatal or nothing succeeded (stop here);
+#      4 = session expired, position saved (refresh cookies, --resume).
 # ---------------------------------------------------------------------
+DOWNLOADER_STATUS=0
+
 run_downloader() {
+  local phase="${1:-full}"
   echo "[+] Starting download-pdfs.js..."
   if [[ "${DEBUG:-0}" == "1" ]]; then
     echo "[DEBUG] DOWNLOAD_ALL=${DOWNLOAD_ALL:-0}, DEBUG=${DEBUG:-0}"
   fi
 
-  env OUTPUT_DIR="${OUTPUT_DIR}" DOWNLOAD_ALL="${DOWNLOAD_ALL:-0}" DEBUG="${DEBUG:-0}" node "${DOWNLOADER}"
+  # Non-interactive runs don't wait for fresh cookies; they save the position.
+  local session_wait="${SESSION_WAIT_MINUTES:-30}"
+  if [[ "${CI_MODE}" -eq 1 && -z "${SESSION_WAIT_MINUTES:-}" ]]; then
+    session_wait=0
+  fi
+
+  local status=0
+  env OUTPUT_DIR="${OUTPUT_DIR}" DOWNLOAD_ALL="${DOWNLOAD_ALL:-0}" DEBUG="${DEBUG:-0}" RESUME="${RESUME}" \
+    SESSION_WAIT_MINUTES="${session_wait}" COOKIE_FILE="${SITE_COOKIES}" DEDUP_STORE="${DEDUP_STORE}" \
+    node "${DOWNLOADER}" || status=$?
+
+  case "${status}" in
+    0) ;;
+    2)
+      echo "[!] Some resources failed — see ${OUTPUT_DIR}/_reports/latest.json"
+      ;;
+    4)
+      if [[ "${phase}" == "test" ]]; then
+        # Only the first 10 were queued; a resume would stop there.
+        rm -f "${OUTPUT_DIR}/.resume.json"
+        die "Your Moodle session expired during the test run.\n\n→ Export fresh cookies and run: node sanitize-cookies.js --site ${SITE}\n→ Then re-run moodle.sh"
+      fi
+      die "Your Moodle session expired mid-run; the remaining resources were saved.\n\n→ Export fresh cookies and run: node sanitize-cookies.js --site ${SITE}\n→ Then re-run moodle.sh with the same options plus --resume"
+      ;;
+    3)
+      die "Every resource failed.\n\n→ Check ${OUTPUT_DIR}/_reports/latest.json for reason codes\n→ Refresh $(basename "${SITE_COOKIES}") if your session expired\n→ Then re-run moodle.sh"
+      ;;
+    *)
+      die "download-pdfs.js exited with status ${status}.\n\n→ Re-run with DEBUG=1 for details"
+      ;;
+  esac
+  DOWNLOADER_STATUS="${status}"
 }
 
 # ---------------------------------------------------------------------
 # Block 13: Safety test run (first 10 items)
 # ---------------------------------------------------------------------
-banner "Safety Test Run"
+if [[ "${RESUME}" -eq 0 ]]; then
+  banner "Safety Test Run"
 
-echo "[i] Safety test: downloading first 10 resources only (intentional and safe)"
+  echo "[i] Safety test: downloading first 10 resources only (intentional and safe)"
 
-echo "[+] Running test (first 10 items)... this may take a few minutes."
+  echo "[+] Running test (first 10 items)... this may take a few minutes."
 
-cp "${RESOURCE_FILE}" "${PROJECT_ROOT}/resource_urls.full.txt"
-head -n 10 "${PROJECT_ROOT}/resource_urls.full.txt" > "${RESOURCE_FILE}"
+  cp "${RESOURCE_FILE}" "${PROJECT_ROOT}/resource_urls.full.txt"
+  head -n 10 "${PROJECT_ROOT}/resource_urls.full.txt" > "${RESOURCE_FILE}"
 
-run_downloader
+  run_downloader test
 
-if [[ "${MODE_ALL}" -eq 1 || -n "${MODULES}" ]]; then
-  TEST_ANY="$(find "${OUTPUT_SUBDIR}" -type f | head -n 1 || true)"
-  [[ -z "${TEST_ANY}" ]] && die "No file produced during test run (ALL mode).\n\n→ Check your cookies and access rights\n→ Then re-run moodle.sh"
-  echo "[✓] Test validated: $(basename "${TEST_ANY}")"
-else
-  TEST_PDF="$(find "${OUTPUT_SUBDIR}" -type f -iname '*.pdf' | head -n 1 || true)"
-  [[ -z "${TEST_PDF}" ]] && die "No PDF produced during test run (resource-only mode).\n\n→ Check your cookies and access rights\n→ Then re-run moodle.sh"
-  FILE_TYPE="$(file -b "${TEST_PDF}" 2>/dev/null || echo '')"
-  [[ "${FILE_TYPE}" != *PDF* ]] && die "Test output is not a valid PDF (${FILE_TYPE}).\n\n→ Verify the first resources are actual PDFs\n→ Then re-run moodle.sh"
-  echo "[✓] Test validated (resource-only): $(basename "${TEST_PDF}")"
-fi
+  if [[ "${MODE_ALL}" -eq 1 || -n "${MODULES}" ]]; then
+    TEST_ANY="$(find "${OUTPUT_SUBDIR}" -type f | head -n 1 || true)"
+    [[ -z "${TEST_ANY}" ]] && die "No file produced during test run (ALL mode).\n\n→ Check your cookies and access rights\n→ Then re-run moodle.sh"
+    echo "[✓] Test validated: $(basename "${TEST_ANY}")"
+  else
+    TEST_PDF="$(find "${OUTPUT_SUBDIR}" -type f -iname '*.pdf' | head -n 1 || true)"
+    [[ -z "${TEST_PDF}" ]] && die "No PDF produced during test run (resource-only mode).\n\n→ Check your cookies and access rights\n→ Then re-run moodle.sh"
+    FILE_TYPE="$(file -b "${TEST_PDF}" 2>/dev/null || echo '')"
+    [[ "${FILE_TYPE}" != *PDF* ]] && die "Test output is not a valid PDF (${FILE_TYPE}).\n\n→ Verify the first resources are actual PDFs\n→ Then re-run moodle.sh"
+    echo "[✓] Test validated (resource-only): $(basename "${TEST_PDF}")"
+  fi
 
-echo "[✓] Test run passed — proceeding to full download"
+  echo "[✓] Test run passed — proceeding to full download"
+fi
 
 # ---------------------------------------------------------------------
 # Block 14: Bulk download
@@ -469,12 +668,18 @@ banner "Full Download"
 echo "[i] Bulk download started — this may take several minutes depending on course size."
 echo "[+] Running bulk download..."
 
-mv "${PROJECT_ROOT}/resource_urls.full.txt" "${RESOURCE_FILE}"
+if [[ "${RESUME}" -eq 0 ]]; then
+  mv "${PROJECT_ROOT}/resource_urls.full.txt" "${RESOURCE_FILE}"
+fi
 
 run_downloader
 
 echo
-echo "[✓] Download complete"
+if [[ "${DOWNLOADER_STATUS}" -eq 0 ]]; then
+  echo "[✓] Download complete"
+else
+  echo "[!] Download finished with failures (report: ${OUTPUT_SUBDIR}/_reports/latest.json)"
+fi
 echo "[✓] Output saved to: ${OUTPUT_SUBDIR}"
 
 echo
@@ -528,3 +733,6 @@ if [[ -n "${LOG_JSON_FILE}" ]]; then
   sed -i '$ s/},/}/' "${LOG_JSON_FILE}"
   echo "]" >> "${LOG_JSON_FILE}"
 fi
+
+# Propagate partial failures (2) to callers; see download-pdfs.js exit codes.
+exit "${DOWNLOADER_STATUS}"
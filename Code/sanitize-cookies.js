@@ -3,10 +3,32 @@
 /**
  * sanitize-cookies.js
  *
- * Converts browser-exported cookies.json into a
- * Puppeteer-safe minimal format.
+ * Converts browser-exported cookies into a Puppeteer-safe minimal format.
+ *
+ * Accepted input (detected from the content):
+ *   - Cookie-Editor JSON array
+ *   - Puppeteer / CDP cookies (array, or { "cookies": [...] } from Network.getAllCookies)
+ *   - HAR files (cookies from every request/response)
+ *   - Netscape cookies.txt (curl, wget, yt-dlp, "Get cookies.txt" extensions)
+ *
+ * Usage:
+ *   node sanitize-cookies.js                          # cookies.json -> cookies.json
+ *   node sanitize-cookies.js export.har               # any format -> cookies.json
+ *   node sanitize-cookies.js --site unsw [export]     # -> cookies.unsw.json, unsw cookies only
+ *
+ * With --site (or SITE=<name>), cookies are filtered to the host of that
+ * profile's BASE_URL (sites/<name>.env) and written to cookies.<name>.json,
+ * so each site keeps its own session. COOKIE_DOMAINS in the profile keeps
+ * cookies for extra domains too (e.g. "sharepoint.com" for embedded videos).
+ * Without an input file the newer of cookies.json and cookies.<name>.json
+ * is used. Without --site, BASE_URL (if set) still filters by domain.
  *
  * Self-resolving: operates relative to its own location.
+ * Also a module: login.js saves captured cookies through
+ * sanitizeCookies() + writeCookies() so both produce the same file.
+ *
+ * Optional env:
+ *   COOKIE_WARN_HOURS=2   # warn when MoodleSession expires sooner than this
  */
 
 const fs = require('fs');
@@ -14,78 +36,333 @@ const path = require('path');
 
 // Resolve project root (directory where this script lives)
 const PROJECT_ROOT = path.dirname(path.resolve(__filename));
+const SITES_DIR = path.join(PROJECT_ROOT, '..', 'sites');
 const COOKIE_PATH = path.join(PROJECT_ROOT, 'cookies.json');
 const BACKUP_DIR = path.join(PROJECT_ROOT, '.backups');
-const BACKUP_PATH = path.join(BACKUP_DIR, 'cookies.json.bak');
 
-// Required fields only (everything else is discarded)
+// Fields kept (everything else is discarded)
 const ALLOWED_FIELDS = new Set([
   'name',
   'value',
   'domain',
   'path',
   'secure',
-  'httpOnly'
+  'httpOnly',
+  'expires',
+  'sameSite'
 ]);
 
+// Cookie-Editor / Firefox spellings -> what Puppeteer accepts
+const SAME_SITE = {
+  strict: 'Strict',
+  lax: 'Lax',
+  none: 'None',
+  no_restriction: 'None'
+};
+
 function fatal(msg) {
   console.error(`\n[✗] ${msg}\n`);
   process.exit(1);
 }
 
-// --- Validate input ---
-if (!fs.existsSync(COOKIE_PATH)) {
-  fatal('cookies.json not found in project directory');
+// --- Site profiles + per-site cookie files ---
+function cookiePathFor(site) {
+  return site ? path.join(PROJECT_ROOT, `cookies.${site}.json`) : COOKIE_PATH;
 }
 
-// --- Read cookies ---
-let raw;
-try {
-  raw = JSON.parse(fs.readFileSync(COOKIE_PATH, 'utf8'));
-} catch (e) {
-  fatal('cookies.json is not valid JSON');
+function backupPathFor(site) {
+  return path.join(BACKUP_DIR, `${path.basename(cookiePathFor(site))}.bak`);
 }
 
-if (!Array.isArray(raw)) {
-  fatal('cookies.json must contain a JSON array');
+// BASE_URL, COOKIE_DOMAINS (and, for batch.js, SITE_NAME, OUTPUT_DIR_DEFAULT
+// and COURSES) from sites/<name>.env (plain KEY="value" lines).
+function siteProfile(site) {
+  const file = path.join(SITES_DIR, `${site}.env`);
+  if (!fs.existsSync(file)) fatal(`Site profile not found: ${file}`);
+  const text = fs.readFileSync(file, 'utf8');
+  const read = (key) => {
+    const m = new RegExp(`^\\s*${key}\\s*=\\s*["']?([^"'\\n]*?)["']?\\s*$`, 'm').exec(text);
+    return m ? m[1].trim() : '';
+  };
+  const baseUrl = read('BASE_URL');
+  if (!baseUrl) fatal(`BASE_URL is not set in ${file}`);
+  return {
+    baseUrl,
+    cookieDomains: read('COOKIE_DOMAINS').split(/[\s,]+/).filter(Boolean),
+    siteName: read('SITE_NAME') || site,
+    outputDir: read('OUTPUT_DIR_DEFAULT') || read('SITE_NAME') || site,
+    courses: read('COURSES').split(/[\s,]+/).filter(Boolean)
+  };
 }
 
-// --- Sanitize ---
-const cleaned = raw.map((cookie, idx) => {
-  if (!cookie.name || !cookie.value || !cookie.domain) {
-    fatal(`Invalid cookie at index ${idx} (missing name/value/domain)`);
+function cookieDomain(cookie) {
+  return String(cookie.domain || '').replace(/^\./, '').toLowerCase();
+}
+
+// Cookie domain matches the host (".example.edu" covers "moodle.example.edu").
+function matchesHost(cookie, host) {
+  const domain = cookieDomain(cookie);
+  const h = host.toLowerCase();
+  return h === domain || h.endsWith(`.${domain}`);
+}
+
+// Cookies sent to baseUrl's host, plus any cookie set on (or under) one of
+// the extra domains.
+function siteCookieFilter(baseUrl, extraDomains = []) {
+  const host = new URL(baseUrl).hostname;
+  const extra = extraDomains.map((d) => d.replace(/^\./, '').toLowerCase());
+  return (cookie) => {
+    if (matchesHost(cookie, host)) return true;
+    const domain = cookieDomain(cookie);
+    return extra.some((d) => domain === d || domain.endsWith(`.${d}`));
+  };
+}
+
+// --- Parse any supported format into plain cookie objects ---
+function expirySeconds(cookie) {
+  if (cookie.session === true) return null;
+  let t = cookie.expirationDate ?? cookie.expires ?? cookie.expiry;
+  if (typeof t === 'string') t = /^\d+(\.\d+)?$/.test(t) ? Number(t) : Date.parse(t) / 1000;
+  if (typeof t !== 'number' || !Number.isFinite(t) || t <= 0) return null;
+  return t > 1e12 ? t / 1000 : t;
+}
+
+function parseNetscape(text) {
+  const cookies = [];
+  for (let line of text.split(/\r?\n/)) {
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    } else if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+    const parts = line.split('\t');
+    if (parts.length < 7) continue;
+    const [domain, , cookiePath, secure, expires, name, ...value] = parts;
+    cookies.push({
+      name,
+      value: value.join('\t'),
+      domain,
+      path: cookiePath,
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly,
+      expires: Number(expires) || undefined
+    });
   }
+  return cookies;
+}
 
-  const clean = {};
-  for (const key of Object.keys(cookie)) {
-    if (ALLOWED_FIELDS.has(key)) {
-      clean[key] = cookie[key];
+// Request cookies carry no domain: use the request's host. Later entries win.
+function parseHar(har) {
+  const byKey = new Map();
+  for (const entry of har.log.entries) {
+    let host = '';
+    try {
+      host = new URL(entry.request.url).hostname;
+    } catch (e) {
+      // keep host empty; such cookies fail the domain check below
     }
+    const found = [
+      ...((entry.request && entry.request.cookies) || []).map((c) => ({ ...c, domain: c.domain || host, path: c.path || '/' })),
+      ...((entry.response && entry.response.cookies) || []).map((c) => ({ ...c, domain: c.domain || host }))
+    ];
+    for (const c of found) byKey.set(`${c.name}\t${c.domain}\t${c.path || '/'}`, c);
+  }
+  return Array.from(byKey.values());
+}
+
+function parseCookieFile(text, file) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+    const cookies = parseNetscape(text);
+    if (!cookies.length) fatal(`${file} is neither JSON nor a Netscape cookies.txt file`);
+    return { format: 'netscape', cookies };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (e) {
+    fatal(`${file} is not valid JSON`);
+  }
+  if (Array.isArray(data)) {
+    const cdp = data.some((c) => c && ('size' in c || 'priority' in c || 'sameParty' in c));
+    return { format: cdp ? 'puppeteer/cdp' : 'cookie-editor', cookies: data };
+  }
+  if (data && data.log && Array.isArray(data.log.entries)) return { format: 'har', cookies: parseHar(data) };
+  if (data && Array.isArray(data.cookies)) return { format: 'puppeteer/cdp', cookies: data.cookies };
+  fatal(`${file} must contain a JSON array of cookies, a HAR log or a Netscape cookies.txt`);
+}
+
+// --- Sanitize ---
+function sanitizeCookies(raw) {
+  const cleaned = raw.map((cookie, idx) => {
+    if (!cookie.name || !cookie.value || !cookie.domain) {
+      fatal(`Invalid cookie at index ${idx} (missing name/value/domain)`);
+    }
+
+    const clean = {};
+    for (const key of Object.keys(cookie)) {
+      if (ALLOWED_FIELDS.has(key)) {
+        clean[key] = cookie[key];
+      }
+    }
+
+    // Defaults (defensive)
+    if (!clean.path) clean.path = '/';
+    if (typeof clean.secure !== 'boolean') clean.secure = true;
+    if (typeof clean.httpOnly !== 'boolean') delete clean.httpOnly;
+
+    // Keep expires / sameSite only in a form Puppeteer accepts
+    const expires = expirySeconds(cookie);
+    if (expires) clean.expires = Math.floor(expires);
+    else delete clean.expires;
+    const sameSite = SAME_SITE[String(cookie.sameSite || '').toLowerCase()];
+    // SameSite=None without Secure is rejected by Chromium
+    if (sameSite && (sameSite !== 'None' || clean.secure)) clean.sameSite = sameSite;
+    else delete clean.sameSite;
+
+    return clean;
+  });
+
+  // --- Verify MoodleSession exists ---
+  if (!cleaned.some(c => c.name === 'MoodleSession')) {
+    fatal('MoodleSession cookie not found — are you logged in?');
   }
 
-  // Defaults (defensive)
-  if (!clean.path) clean.path = '/';
-  if (typeof clean.secure !== 'boolean') clean.secure = true;
+  return cleaned;
+}
 
-  return clean;
-});
+// --- Expiry check ---
+// MoodleSession is often a browser-session cookie (no timestamp); the
+// server can still time it out, which download-pdfs.js detects.
+const WARN_HOURS = Number(process.env.COOKIE_WARN_HOURS || 2);
 
-// --- Verify MoodleSession exists ---
-if (!cleaned.some(c => c.name === 'MoodleSession')) {
-  fatal('MoodleSession cookie not found — are you logged in?');
+function inMinutes(ms) {
+  const m = Math.round(Math.abs(ms) / 60000);
+  return m >= 120 ? `${Math.round(m / 60)} h` : `${m} min`;
 }
 
-// --- Backup original ---
-if (!fs.existsSync(BACKUP_DIR)) {
-  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+function checkExpiry(raw) {
+  const now = Date.now();
+  let otherExpired = 0;
+  for (const cookie of raw) {
+    const seconds = expirySeconds(cookie);
+    if (!seconds) continue;
+    const expires = new Date(seconds * 1000);
+    const left = expires.getTime() - now;
+    if (cookie.name !== 'MoodleSession') {
+      if (left <= 0) otherExpired += 1;
+      continue;
+    }
+    if (left <= 0) {
+      console.warn(`[!] MoodleSession expired ${inMinutes(left)} ago (${expires.toISOString()}) — log in again and re-export your cookies`);
+    } else if (left < WARN_HOURS * 3600000) {
+      console.warn(`[!] MoodleSession expires in ${inMinutes(left)} (${expires.toISOString()}) — a long run may pause for fresh cookies`);
+    }
+  }
+  if (otherExpired) {
+    console.warn(`[!] ${otherExpired} other cookie(s) in the export have already expired (dropped)`);
+  }
+}
+
+// Drop expired cookies. A stale MoodleSession is kept: checkExpiry() says
+// what to do, and the downloader reports the expired session if it's used.
+function dropExpired(cookies) {
+  const now = Date.now() / 1000;
+  return cookies.filter((c) => c.name === 'MoodleSession' || !c.expires || c.expires > now);
+}
+
+// --- Backup original + write sanitized version ---
+// Returns { target, backup } (backup is '' when there was nothing to back up).
+function writeCookies(cleaned, site = '') {
+  const target = cookiePathFor(site);
+  let backup = '';
+  if (fs.existsSync(target)) {
+    if (!fs.existsSync(BACKUP_DIR)) {
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    }
+    backup = backupPathFor(site);
+    fs.copyFileSync(target, backup);
+  }
+
+  fs.writeFileSync(
+    target,
+    JSON.stringify(cleaned, null, 2)
+  );
+  return { target, backup };
 }
-fs.copyFileSync(COOKIE_PATH, BACKUP_PATH);
 
-// --- Write sanitized version ---
-fs.writeFileSync(
-  COOKIE_PATH,
-  JSON.stringify(cleaned, null, 2)
-);
+module.exports = {
+  sanitizeCookies,
+  checkExpiry,
+  dropExpired,
+  writeCookies,
+  cookiePathFor,
+  siteProfile,
+  siteCookieFilter
+};
 
-console.log('[✓] cookies.json sanitised successfully');
-console.log(`[i] Backup saved as ${BACKUP_PATH}`);
+if (require.main === module) {
+  // --- Parse arguments ---
+  const args = process.argv.slice(2);
+  let site = process.env.SITE || '';
+  let input = '';
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--site') site = args[++i] || '';
+    else if (!input) input = path.resolve(args[i]);
+    else fatal(`Unexpected argument: ${args[i]}`);
+  }
+  if (site && !/^[a-z0-9_-]+$/i.test(site)) fatal(`Invalid site name: ${site}`);
+
+  const output = cookiePathFor(site);
+  const picked = !input;
+  if (!input) {
+    // Per site: a fresh cookies.json export wins over the stored per-site file.
+    const candidates = [COOKIE_PATH, output].filter((f) => fs.existsSync(f));
+    candidates.sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+    input = candidates[0] || COOKIE_PATH;
+  }
+
+  // --- Validate input ---
+  if (!fs.existsSync(input)) {
+    fatal(`${path.basename(input)} not found in project directory`);
+  }
+
+  // --- Read cookies, keeping the site's only ---
+  const profile = site ? siteProfile(site) : { baseUrl: process.env.BASE_URL || '', cookieDomains: [] };
+  function readSiteCookies(file) {
+    const { format, cookies: parsed } = parseCookieFile(fs.readFileSync(file, 'utf8'), path.basename(file));
+    console.log(`[i] Read ${parsed.length} cookie(s) from ${path.basename(file)} (${format})`);
+    const all = parsed.filter((c) => c && c.value);
+    if (!profile.baseUrl) return all;
+    const kept = all.filter(siteCookieFilter(profile.baseUrl, profile.cookieDomains));
+    if (kept.length < all.length) {
+      const host = new URL(profile.baseUrl).hostname;
+      console.log(`[i] Kept ${kept.length} cookie(s) for ${host}; dropped ${all.length - kept.length} for other sites`);
+    }
+    return kept;
+  }
+
+  let raw = readSiteCookies(input);
+
+  // A newer cookies.json from another site must not replace this site's file.
+  if (picked && site && !raw.length && input === COOKIE_PATH && fs.existsSync(output)) {
+    console.log(`[!] ${path.basename(COOKIE_PATH)} has no cookies for this site; keeping ${path.basename(output)} as it is`);
+    const stored = readSiteCookies(output);
+    sanitizeCookies(stored);
+    checkExpiry(stored);
+    console.log(`[✓] Using ${path.basename(output)}`);
+    process.exit(0);
+  }
+
+  const cleaned = dropExpired(sanitizeCookies(raw));
+  checkExpiry(raw);
+  const { backup } = writeCookies(cleaned, site);
+
+  console.log(`[✓] ${path.basename(output)} sanitised successfully`);
+  if (backup) {
+    console.log(`[i] Backup saved as ${backup}`);
+  }
+}
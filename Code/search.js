@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * search.js
+ *
+ * Full-text search over a downloaded archive (PDFs, HTML packages and
+ * saved activity pages). The index lives in <output>/.search-index/ and
+ * is brought up to date before each search (only new or changed files
+ * are re-read); download-pdfs.js also updates it at the end of a run.
+ *
+ * Usage:
+ *   node search.js [--dir output] [--limit 20] [--json] <query...>
+ *   node search.js [--dir output] --update     # index new/changed files, no search
+ *   node search.js [--dir output] --rebuild    # drop the index and index everything
+ *
+ * Query syntax:
+ *   words          ranked by relevance (BM25), any may match
+ *   "a phrase"     must appear on the page, in order
+ *   prefix*        matches every indexed word starting with "prefix"
+ *
+ * Optional env:
+ *   OUTPUT_DIR=output     # archive directory (same as download-pdfs.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { updateIndex, search } = require('./lib/search-index');
+
+function fatal(msg) {
+  console.error(`\n[✗] ${msg}\n`);
+  process.exit(1);
+}
+
+// --- Parse arguments ---
+const args = process.argv.slice(2);
+let dir = process.env.OUTPUT_DIR || 'output';
+let limit = 20;
+let json = false;
+let updateOnly = false;
+let rebuild = false;
+let refresh = true;
+const words = [];
+
+for (let i = 0; i < args.length; i++) {
+  const a = args[i];
+  if (a === '--dir') dir = args[++i];
+  else if (a === '--limit') limit = Number(args[++i]);
+  else if (a === '--json') json = true;
+  else if (a === '--update') updateOnly = true;
+  else if (a === '--rebuild') rebuild = true;
+  else if (a === '--no-update') refresh = false;
+  else if (a === '-h' || a === '--help') {
+    console.log('Usage: node search.js [--dir <output>] [--limit N] [--json] [--no-update] <query...>');
+    console.log('       node search.js [--dir <output>] --update | --rebuild');
+    process.exit(0);
+  } else words.push(a);
+}
+
+if (!dir || !fs.existsSync(dir)) fatal(`Archive directory not found: ${dir}`);
+if (!Number.isInteger(limit) || limit < 1) fatal('--limit must be a positive integer');
+if (!words.length && !updateOnly && !rebuild) fatal('No query given (see --help)');
+
+// --- Update index ---
+if (refresh || updateOnly || rebuild) {
+  const r = updateIndex(dir, { rebuild, log: (msg) => console.error(`[!] ${msg}`) });
+  const changed = r.added + r.updated + r.removed;
+  if (changed || updateOnly || rebuild) {
+    console.error(`[i] Index: +${r.added} ~${r.updated} -${r.removed} file(s), ${r.docs} indexed`);
+  }
+  if (r.via.builtin) {
+    console.error(`[!] ${r.via.builtin} PDF(s) read with the built-in extractor; install poppler (pdftotext) for better results, then --rebuild`);
+  }
+}
+if (!words.length) process.exit(0);
+
+// --- Search ---
+const query = words.join(' ');
+const hits = search(dir, query, { limit });
+
+if (json) {
+  console.log(JSON.stringify({ query, hits }, null, 2));
+  process.exit(0);
+}
+
+if (!hits.length) {
+  console.log(`[i] No matches for: ${query}`);
+  process.exit(0);
+}
+
+for (const hit of hits) {
+  const where = hit.page ? `${hit.file} (p. ${hit.page})` : hit.file;
+  console.log(`${hit.score.toFixed(2).padStart(6)}  [${hit.rid || '-'}] ${where}`);
+  if (hit.title && hit.title !== path.basename(hit.file)) console.log(`        ${hit.title}`);
+  if (hit.snippet) console.log(`        ${hit.snippet}`);
+  console.log();
+}
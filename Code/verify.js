@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * verify.js
+ *
+ * Re-checks a downloaded archive: every file with a .meta.json sidecar must
+ * exist, have the recorded size and SHA-256, and (PDFs / ZIPs) be
+ * structurally complete; files the sync manifest knows about must exist.
+ * Lists corrupt or missing files. download-pdfs.js runs the same checks on
+ * each download; this catches later damage (disk, sync tools, edits) and
+ * files saved before those checks existed.
+ *
+ * Usage:
+ *   node verify.js [--dir output] [--json] [--quick]
+ *     --quick   skip SHA-256 (size + structure only)
+ *
+ * Exit status: 0 all good, 1 bad arguments, 2 problems found.
+ *
+ * Optional env:
+ *   OUTPUT_DIR=output     # archive directory (same as download-pdfs.js)
+ */
+
+const fs = require('fs');
+const { verifyArchive } = require('./lib/integrity');
+
+function fatal(msg) {
+  console.error(`\n[✗] ${msg}\n`);
+  process.exit(1);
+}
+
+// --- Parse arguments ---
+const args = process.argv.slice(2);
+let dir = process.env.OUTPUT_DIR || 'output';
+let json = false;
+let hash = true;
+
+for (let i = 0; i < args.length; i++) {
+  const a = args[i];
+  if (a === '--dir') dir = args[++i];
+  else if (a === '--json') json = true;
+  else if (a === '--quick') hash = false;
+  else if (a === '-h' || a === '--help') {
+    console.log('Usage: node verify.js [--dir <output>] [--json] [--quick]');
+    process.exit(0);
+  } else fatal(`Unknown argument: ${a} (see --help)`);
+}
+
+if (!dir || !fs.existsSync(dir)) fatal(`Archive directory not found: ${dir}`);
+
+// --- Verify ---
+const { checked, problems } = verifyArchive(dir, { hash });
+
+if (json) {
+  console.log(JSON.stringify({ dir, checked, problems }, null, 2));
+} else {
+  for (const p of problems) console.log(`[✗] ${p.problem.padEnd(17)} ${p.path}${p.detail ? `  (${p.detail})` : ''}`);
+  if (problems.length) console.log();
+  const how = hash ? 'size, SHA-256, structure' : 'size, structure';
+  console.log(`[${problems.length ? '!' : '✓'}] ${checked} file(s) checked (${how}); ${problems.length} problem(s)`);
+}
+process.exit(problems.length ? 2 : 0);